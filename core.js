@@ -0,0 +1,1480 @@
+/* ==================== PLANNER CORE ====================
+ * The planner's logic without the page: task-line parsing, building a week's
+ * timetable, the workload heuristics and pre-build checks, when to send
+ * reminders, the saved-plan format, what a share link carries and the plan
+ * templates. script.js layers the slides on top of it, and the Node tests in
+ * tests/ load it directly.
+ *
+ * Browser: <script src="core.js"> defines window.PlannerCore
+ * Node:    const PlannerCore = require("./core.js")
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PlannerCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+
+/* ==================== CONSTANTS ==================== */
+// Day keys used in every structure; the order shown follows the plan's weekStart
+const WEEK_DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const WORK_DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+const TASK_TYPES = {
+  weekly: "On chosen days",
+  weekdays: "Every weekday",
+  times: "N times per week",
+  once: "One-off with a due date"
+};
+const DEFAULT_TASK_MINUTES = 45;
+const SLOT_MINUTES = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Effort points a day can hold, by how the student usually feels
+const DAILY_EFFORT_CAP = { energized: 12, normal: 10, tired: 6, stressed: 7 };
+const MAIN_DAY_WEIGHT = 1.5;
+const POMODORO_LIMITS = { work: [1, 120, 25], break: [1, 60, 5] };
+const RULE_METRICS = {
+  completion: { label: "% of tasks done", max: 100 },
+  focusedTime: { label: "% of planned time focused", max: 100 },
+  perfectDays: { label: "fully completed days", max: 7 },
+  focusMissed: { label: "missed focus task sessions", max: 50 }
+};
+const RULE_OPERATORS = { atLeast: "at least", atMost: "at most" };
+
+/* ==================== DATES ==================== */
+function toISODate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function fromISODate(iso) {
+  return new Date(iso + "T00:00:00");
+}
+
+// weekStart is the first day of the week: 0 = Sunday … 6 = Saturday, as in Date#getDay()
+function startOfWeek(date, weekStart = 1) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - (d.getDay() - weekStart + 7) % 7);
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Day keys in display order, starting from the configured first day of the week
+function weekDays(weekStart = 1) {
+  return WEEK_DAYS.map((_, i) => WEEK_DAYS[(i + weekStart + 6) % 7]);
+}
+
+// The date a day key falls on within the week starting at weekOf
+function dateOfDay(weekOf, day) {
+  const start = fromISODate(weekOf);
+  const dayNumber = (WEEK_DAYS.indexOf(day) + 1) % 7;
+  return addDays(start, (dayNumber - start.getDay() + 7) % 7);
+}
+
+/* ==================== TASK PARSING ==================== */
+// One task per non-empty line, with any leading bullet ("•", "-", "*") stripped
+function parseTaskLines(text) {
+  return text
+    .split("\n")
+    .map(line => line.replace(/^[•\-*]\s*/, '').trim())
+    .filter(x => x);
+}
+
+// Reads "45 mins", "1 hour", "1.5 hrs" or "1 hour 30 mins" out of a task line
+function parseDuration(text) {
+  const matches = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/gi)];
+  if (matches.length === 0) return DEFAULT_TASK_MINUTES;
+  
+  const minutes = matches.reduce((sum, [, value, unit]) =>
+    sum + (unit[0].toLowerCase() === 'h' ? parseFloat(value) * 60 : parseFloat(value)), 0);
+  return Math.max(5, Math.round(minutes));
+}
+
+function hasDuration(text) {
+  return /\d\s*(hours?|hrs?|h|minutes?|mins?|m)\b/i.test(text);
+}
+
+function effortFromDuration(minutes) {
+  if (minutes <= 20) return 1;
+  if (minutes <= 40) return 2;
+  if (minutes <= 60) return 3;
+  if (minutes <= 90) return 4;
+  return 5;
+}
+
+// Reads a repeat rule from the task text, like parseDuration does for time
+function parseTaskRule(text) {
+  const due = text.match(/\b(?:due|by)\s+(\d{4}-\d{2}-\d{2})\b/i);
+  if (due) return { type: "once", dueDate: due[1] };
+  
+  const times = text.match(/\b([1-7])\s*(?:x|times)\s*(?:a|per|\/)\s*week\b/i);
+  if (times) return { type: "times", timesPerWeek: Number(times[1]) };
+  
+  if (/\bevery\s*week\s*day\b|\bweekdays\b/i.test(text)) return { type: "weekdays" };
+  
+  return { type: "weekly" };
+}
+
+// Accepts {"tasks":[...]}, a bare array, or a fenced ```json block; falls back to bullet lines
+function parseTaskList(text) {
+  const jsonMatch = text.match(/[\[{][\s\S]*[\]}]/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      const list = Array.isArray(parsed) ? parsed : parsed.tasks;
+      if (Array.isArray(list)) {
+        return list
+          .map(item => typeof item === "string" ? { task: item } : item)
+          .filter(item => item && typeof item.task === "string" && item.task.trim())
+          .map(item => ({
+            task: item.task.trim(),
+            duration: Number(item.duration) > 0 ? Math.round(Number(item.duration)) : null
+          }));
+      }
+    } catch {
+      // Not valid JSON, try the plain-text form below
+    }
+  }
+  
+  return text
+    .split("\n")
+    .filter(line => /^\s*([•\-*]|\d+[.)])\s+/.test(line))
+    .map(line => ({ task: line.replace(/^\s*([•\-*]|\d+[.)])\s+/, "").trim(), duration: null }))
+    .filter(item => item.task);
+}
+
+/* ==================== TASK RULES ==================== */
+// Days a task is pinned to regardless of the week; floating types have none
+function fixedDays(task) {
+  const type = task.type || "weekly";
+  if (type === "weekly") return task.days;
+  if (type === "weekdays") return WORK_DAYS;
+  return [];
+}
+
+function isUnscheduledWeekly(task) {
+  return (task.type || "weekly") === "weekly" && task.days.length === 0;
+}
+
+// A task counts as finished once any of its sessions is ticked off, outside exceptWeek
+function isTaskFinished(task, weekPlans, exceptWeek = null) {
+  return Object.values(weekPlans).some(p => p.weekOf !== exceptWeek &&
+    WEEK_DAYS.some(d => p.table[d]?.some(e => e.id === task.id && e.completed)));
+}
+
+// Prerequisites before the tasks that wait for them. Tasks caught in a
+// dependency loop (or waiting on one) come back separately.
+function dependencyOrder(items) {
+  const byId = new Map(items.map(item => [item.t.id, item]));
+  const state = new Map();
+  const order = [];
+  const looped = [];
+  
+  const visit = item => {
+    if (state.get(item) === "done") return !looped.includes(item);
+    if (state.get(item) === "visiting") return false;
+    state.set(item, "visiting");
+    const prereq = byId.get(item.t.dependsOn);
+    const ok = !prereq || visit(prereq);
+    state.set(item, "done");
+    (ok ? order : looped).push(item);
+    return ok;
+  };
+  
+  items.forEach(visit);
+  return { order, looped };
+}
+
+// A task on a milestone is due by the milestone's target date, otherwise by its goal's deadline
+function taskDeadline(t, goals) {
+  const goal = goals.find(g => g.id === t.goalId);
+  const milestone = goal?.milestones?.find(m => m.id === t.milestoneId);
+  return milestone?.targetDate || goal?.deadline;
+}
+
+// Turns every task's rule into concrete days for one dated week. Fixed-day tasks
+// go first so floating ones ("N times", one-offs) land on the least busy days.
+// Anything that can't run this week is returned in skipped with the reason.
+function expandOccurrences(weekOf, { allTasks, goals = [], availability, weekPlans = {}, weekStart = 1 }) {
+  const days = weekDays(weekStart);
+  const dateOf = d => toISODate(dateOfDay(weekOf, d));
+  const weekEnd = dateOf(days[days.length - 1]);
+  const open = days.filter(d => availability[d].length > 0);
+  const byDay = Object.fromEntries(days.map(d => [d, []]));
+  const load = Object.fromEntries(days.map(d => [d, 0]));
+  const firstDate = {};
+  const skipped = [];
+  
+  const isFloating = t => ["times", "once"].includes(t.type);
+  const items = allTasks
+    .map((t, index) => ({ t, index }))
+    .filter(({ t }) => !t.deleted)
+    .sort((a, b) => isFloating(a.t) - isFloating(b.t));
+  const { order, looped } = dependencyOrder(items);
+  
+  looped.forEach(({ t }) => skipped.push({ task: t.task, reason: "its prerequisites wait on each other" }));
+  
+  const leastBusy = (candidates, n) => [...candidates]
+    .sort((a, b) => (load[a] - load[b]) || (days.indexOf(a) - days.indexOf(b)))
+    .slice(0, n);
+  
+  order.forEach(({ t, index }) => {
+    const type = t.type || "weekly";
+    const deadline = taskDeadline(t, goals);
+    
+    // Sessions wait for the prerequisite's first session this week. A one-off
+    // prerequisite that isn't done and isn't on this week blocks the task.
+    let earliest = weekOf;
+    const prereq = t.dependsOn != null && allTasks.find(p => p.id === t.dependsOn && !p.deleted);
+    if (prereq && !isTaskFinished(prereq, weekPlans)) {
+      if (firstDate[prereq.id]) {
+        earliest = firstDate[prereq.id];
+      } else if (prereq.type === "once") {
+        skipped.push({ task: t.task, reason: `waiting for "${prereq.task}"` });
+        return;
+      }
+    }
+    const allowed = d => dateOf(d) >= earliest && (!deadline || dateOf(d) <= deadline);
+    
+    let chosen;
+    if (type === "times") {
+      chosen = leastBusy(open.filter(allowed), t.timesPerWeek || 1);
+    } else if (type === "once") {
+      if (!t.dueDate || t.dueDate > weekEnd || isTaskFinished(t, weekPlans, weekOf)) return;
+      if (t.dueDate < weekOf) {
+        skipped.push({ task: t.task, reason: `overdue since ${t.dueDate}` });
+        return;
+      }
+      chosen = leastBusy(open.filter(d => allowed(d) && dateOf(d) <= t.dueDate), 1);
+      if (chosen.length === 0) skipped.push({ task: t.task, reason: `no free day before ${t.dueDate}` });
+    } else {
+      chosen = fixedDays(t).filter(d => {
+        if (deadline && dateOf(d) > deadline) {
+          skipped.push({ task: t.task, day: d, reason: `after its ${t.milestoneId ? "milestone" : "goal"}'s deadline` });
+          return false;
+        }
+        if (dateOf(d) < earliest) {
+          skipped.push({ task: t.task, day: d, reason: `before "${prereq.task}"` });
+          return false;
+        }
+        return true;
+      });
+    }
+    
+    chosen.forEach(d => {
+      byDay[d].push({ ...t, index, deadline });
+      load[d] += t.duration;
+      if (!firstDate[t.id] || dateOf(d) < firstDate[t.id]) firstDate[t.id] = dateOf(d);
+    });
+  });
+  
+  return { byDay, skipped };
+}
+
+/* ==================== SCHEDULING ==================== */
+function defaultAvailability() {
+  const windows = {};
+  WEEK_DAYS.forEach(d => {
+    windows[d] = d === "Sat" || d === "Sun"
+      ? [{ start: "10:00", end: "18:00" }]
+      : [{ start: "16:00", end: "21:00" }];
+  });
+  return windows;
+}
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function formatTime(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// Cuts fixed commitments (classes, exams) out of the availability windows
+function subtractBusy(windows, busy) {
+  return busy.reduce((free, b) => free.flatMap(w => {
+    if (b.end <= w.start || b.start >= w.end) return [w];
+    return [
+      { start: w.start, end: b.start },
+      { start: b.end, end: w.end }
+    ].filter(part => part.end > part.start);
+  }), windows);
+}
+
+// First-fit placement: the focus task goes first, then the heaviest work while
+// energy is highest. Every placed task is followed by a break, so nothing overlaps.
+function scheduleDay(tasks, windows, breakMinutes, focusTaskName, busy = []) {
+  const isFocus = t => focusTaskName && t.task.toLowerCase().includes(focusTaskName);
+  // Tasks for the goal with the nearest deadline come first after the focus task
+  const due = t => t.deadline ? Date.parse(t.deadline) : Infinity;
+  const ordered = [...tasks].sort((a, b) =>
+    (isFocus(b) - isFocus(a)) || (due(a) - due(b)) || (b.effort - a.effort) || (b.duration - a.duration));
+  
+  return placeInOrder(orderAfterPrerequisites(ordered), freeWindows(windows, busy), breakMinutes);
+}
+
+// Within a day, a task never starts before the task it depends on
+function orderAfterPrerequisites(ordered) {
+  const result = [...ordered];
+  let moves = 0;
+  for (let i = 0; i < result.length && moves <= result.length * result.length; i++) {
+    const prereq = result.findIndex(p => p.id === result[i].dependsOn);
+    if (prereq > i) {
+      const [task] = result.splice(i, 1);
+      result.splice(prereq, 0, task);
+      moves++;
+      i--;
+    }
+  }
+  return result;
+}
+
+function freeWindows(windows, busy) {
+  return subtractBusy(
+    windows.map(w => ({ start: toMinutes(w.start), end: toMinutes(w.end) })),
+    busy.map(b => ({ start: toMinutes(b.start), end: toMinutes(b.end) }))
+  )
+    .filter(w => w.end > w.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Places tasks in the order given; used directly when the user has arranged a day by hand
+function placeInOrder(ordered, free, breakMinutes) {
+  const slots = [];
+  const overflow = [];
+  
+  ordered.forEach(t => {
+    const win = free.find(w => w.end - w.start >= t.duration);
+    if (!win) {
+      overflow.push(t);
+      return;
+    }
+    slots.push({ ...t, start: win.start, end: win.start + t.duration });
+    win.start += t.duration + breakMinutes;
+  });
+  
+  slots.sort((a, b) => a.start - b.start);
+  return { slots, overflow };
+}
+
+// Weekly commitments repeat every `interval` weeks (counted Monday to Monday, as in
+// iCalendar) from their first date, except on the dates listed in `except`
+function commitmentsForDay(commitments, day, weekOf) {
+  const date = toISODate(dateOfDay(weekOf, day));
+  const weeksApart = from => Math.round((startOfWeek(fromISODate(date)) - startOfWeek(fromISODate(from))) / (7 * DAY_MS));
+  return commitments.filter(c => c.weekly
+    ? c.day === day && c.date <= date && (!c.until || date <= c.until)
+      && weeksApart(c.date) % (c.interval || 1) === 0 && !c.except?.includes(date)
+    : c.date === date);
+}
+
+// The timetable for one dated week: each task's sessions placed in that week's
+// availability around its commitments. Checkmarks and focused minutes carry over
+// from an earlier build of the same week.
+function buildWeekTable(weekOf, data, { focusTask = "", breakMinutes = 0 } = {}) {
+  const previous = data.weekPlans?.[weekOf];
+  const { byDay, skipped } = expandOccurrences(weekOf, data);
+  const table = {};
+  const overflow = {};
+  
+  weekDays(data.weekStart).forEach(d => {
+    const sessions = byDay[d].map(t => {
+      const earlier = previous?.table[d]?.find(e => e.id === t.id);
+      return { ...t, completed: !!earlier?.completed, actualMinutes: earlier?.actualMinutes || 0 };
+    });
+    const busy = commitmentsForDay(data.commitments || [], d, weekOf);
+    const result = scheduleDay(sessions, data.availability[d], breakMinutes, focusTask, busy);
+    table[d] = result.slots;
+    overflow[d] = result.overflow;
+  });
+  
+  return { table, overflow, skipped };
+}
+
+/* ==================== WORKLOAD ==================== */
+function dayLoads(tasks) {
+  const load = Object.fromEntries(WEEK_DAYS.map(d => [d, 0]));
+  tasks.forEach(t => fixedDays(t).forEach(d => load[d] += t.effort));
+  return load;
+}
+
+// Deterministic: same tasks, mood and main day always give the same proposal.
+// Heaviest tasks are placed first, each on the day with the lowest weighted load;
+// the main focus day counts as 1.5 days so it takes the heaviest work.
+function proposeDistribution(tasks, { mood, mainDay, open, days = WEEK_DAYS }) {
+  const cap = DAILY_EFFORT_CAP[mood] || DAILY_EFFORT_CAP.normal;
+  const light = mood === "tired" || mood === "stressed";
+  const weight = d => d === mainDay ? MAIN_DAY_WEIGHT : 1;
+  
+  const load = dayLoads(tasks.filter(t => !t.deleted));
+  const before = { ...load };
+  
+  const pending = tasks
+    .map((t, index) => ({ t, index }))
+    .filter(({ t }) => !t.deleted && isUnscheduledWeekly(t))
+    .sort((a, b) => (b.t.effort - a.t.effort) || (b.t.duration - a.t.duration) || (a.index - b.index));
+  
+  const chosen = new Map(pending.map(({ index }) => [index, []]));
+  
+  const pickDay = (t, taken) => days
+    .filter(d => open.includes(d) && !taken.includes(d) && load[d] + t.effort <= cap)
+    .sort((a, b) => (load[a] / weight(a) - load[b] / weight(b)) || (weight(b) - weight(a)))[0];
+  
+  const place = (t, index) => {
+    const day = pickDay(t, chosen.get(index));
+    if (!day) return false;
+    chosen.get(index).push(day);
+    load[day] += t.effort;
+    return true;
+  };
+  
+  // Every task gets its minimum first, so no task is starved by another's extras
+  const unplaced = [];
+  pending.forEach(({ t, index }) => {
+    for (let n = 0; n < (t.minPerWeek || 1); n++) {
+      if (!place(t, index)) {
+        unplaced.push({ index, missing: (t.minPerWeek || 1) - n });
+        break;
+      }
+    }
+  });
+  
+  // Extra repetitions up to the maximum, skipped entirely on low-energy weeks
+  if (!light) {
+    pending.forEach(({ t, index }) => {
+      for (let n = chosen.get(index).length; n < (t.maxPerWeek || 1); n++) {
+        if (!place(t, index)) break;
+      }
+    });
+  }
+  
+  const assignments = pending.map(({ index }) => ({
+    index,
+    days: WEEK_DAYS.filter(d => chosen.get(index).includes(d))
+  }));
+  
+  return { assignments, unplaced, before, after: load, cap };
+}
+
+// Offline stand-in for the AI coach: the days that go past the mood's effort limit
+function workloadHeuristics(table, mood) {
+  const cap = DAILY_EFFORT_CAP[mood] || DAILY_EFFORT_CAP.normal;
+  const loads = Object.fromEntries(WEEK_DAYS.map(d => [d, (table[d] || []).reduce((sum, t) => sum + t.effort, 0)]));
+  return { cap, loads, heavyDays: WEEK_DAYS.filter(d => loads[d] > cap) };
+}
+
+// What to fix before a week is built: tasks that will never be scheduled, goals that
+// get no time at all, days over the mood's effort limit and a focus task that matches
+// nothing. Each warning may carry one fix: new days for tasks (by index, like
+// proposeDistribution's assignments) and/or a new focus task.
+function planWarnings(tasks, { goals = [], mood, mainDay, focusTask = "", open, days = WEEK_DAYS }) {
+  const cap = DAILY_EFFORT_CAP[mood] || DAILY_EFFORT_CAP.normal;
+  const weight = d => d === mainDay ? MAIN_DAY_WEIGHT : 1;
+  const live = tasks.map((t, index) => ({ t, index })).filter(({ t }) => !t.deleted);
+  const load = dayLoads(live.map(({ t }) => t));
+  const openDays = days.filter(d => open.includes(d));
+  const warnings = [];
+
+  const getsTime = t => ["times", "once"].includes(t.type)
+    ? openDays.length > 0
+    : fixedDays(t).some(d => openDays.includes(d));
+  const lightest = (effort, planned, except = []) => openDays
+    .filter(d => !except.includes(d))
+    .sort((a, b) => ((planned[a] + effort > cap) - (planned[b] + effort > cap)) ||
+      (planned[a] / weight(a) - planned[b] / weight(b)) || (weight(b) - weight(a)))[0];
+  const withDays = t => (t.type || "weekly") === "weekly";
+
+  // Spreads tasks over the lightest open days, one day each
+  const placeAll = items => {
+    const planned = { ...load };
+    return items.filter(({ t }) => withDays(t)).flatMap(({ t, index }) => {
+      const day = lightest(t.effort, planned);
+      if (!day) return [];
+      planned[day] += t.effort;
+      return [{ index, days: [day] }];
+    });
+  };
+  const plural = (n, word) => `${n} ${word}${n !== 1 ? "s" : ""}`;
+
+  const emptyGoals = new Set();
+  goals.forEach(goal => {
+    const own = live.filter(({ t }) => t.goalId === goal.id);
+    if (own.some(({ t }) => getsTime(t))) return;
+    emptyGoals.add(goal.id);
+    const assignments = placeAll(own);
+    warnings.push({
+      kind: "goal",
+      message: own.length
+        ? `"${goal.name}" gets no time this week: none of its tasks is on a day you're available`
+        : `"${goal.name}" has no tasks`,
+      fix: assignments.length ? {
+        label: assignments.length === 1
+          ? `Put "${tasks[assignments[0].index].task}" on ${assignments[0].days[0]}`
+          : `Spread its ${plural(assignments.length, "task")} over the week`,
+        assignments
+      } : null
+    });
+  });
+
+  live.filter(({ t }) => !getsTime(t) && !emptyGoals.has(t.goalId)).forEach(({ t, index }) => {
+    const [assignment] = placeAll([{ t, index }]);
+    warnings.push({
+      kind: "unscheduled",
+      message: t.days?.length
+        ? `"${t.task}" is only on days you're not available, so it won't be scheduled`
+        : `"${t.task}" has no days ticked, so it won't be scheduled`,
+      fix: assignment ? { label: `Put it on ${assignment.days[0]}`, assignments: [assignment] } : null
+    });
+  });
+
+  // The biggest tasks move first, to the lightest open day, until the day is back under the limit
+  openDays.filter(d => load[d] > cap).forEach(day => {
+    const count = live.filter(({ t }) => fixedDays(t).includes(day)).length;
+    const target = lightest(0, load, [day]);
+    const after = { ...load };
+    const assignments = [];
+    live
+      .filter(({ t }) => withDays(t) && t.days.includes(day) && !t.days.includes(target))
+      .sort((a, b) => (b.t.effort - a.t.effort) || (a.index - b.index))
+      .forEach(({ t, index }) => {
+        if (!target || after[day] <= cap || after[target] + t.effort > cap) return;
+        after[day] -= t.effort;
+        after[target] += t.effort;
+        assignments.push({ index, days: WEEK_DAYS.filter(d => d === target || (d !== day && t.days.includes(d))) });
+      });
+    warnings.push({
+      kind: "overload",
+      message: `${day} has ${plural(count, "task")} worth ${load[day]} effort points; a ${mood || "normal"} day takes ${cap}`,
+      fix: assignments.length ? {
+        label: `Move ${plural(assignments.length, "task")} from ${day} to ${target}`,
+        assignments
+      } : null
+    });
+  });
+
+  const focus = focusTask.trim().toLowerCase();
+  if (focus && !live.some(({ t }) => t.task.toLowerCase().includes(focus))) {
+    // Suggest the task sharing the most words with what was typed
+    const words = focus.split(/\W+/).filter(w => w.length > 2);
+    const shared = t => words.filter(w => t.task.toLowerCase().includes(w)).length;
+    const best = live.map(({ t }) => t).filter(t => shared(t) > 0).sort((a, b) => shared(b) - shared(a))[0];
+    warnings.push({
+      kind: "focus",
+      message: `Your focus task "${focusTask.trim()}" doesn't match any task`,
+      fix: best
+        ? { label: `Use "${best.task}"`, assignments: [], focusTask: best.task }
+        : { label: "Clear the focus task", assignments: [], focusTask: "" }
+    });
+  }
+
+  return warnings;
+}
+
+function percent(completed, planned) {
+  return planned === 0 ? 0 : Math.round((completed / planned) * 100);
+}
+
+function summarizeWeek(plan, weekStart = 1) {
+  const goalStats = {};
+  
+  const days = weekDays(weekStart).map(d => {
+    const entries = plan.table[d] || [];
+    entries.forEach(t => {
+      const key = t.goalId ?? t.goal;
+      goalStats[key] = goalStats[key] || { goalId: t.goalId, name: t.goal, color: t.color, planned: 0, completed: 0, plannedMinutes: 0, actualMinutes: 0 };
+      goalStats[key].planned++;
+      if (t.completed) goalStats[key].completed++;
+      goalStats[key].plannedMinutes += t.duration;
+      goalStats[key].actualMinutes += t.actualMinutes || 0;
+    });
+    return {
+      day: d,
+      date: toISODate(dateOfDay(plan.weekOf, d)),
+      planned: entries.length,
+      completed: entries.filter(t => t.completed).length
+    };
+  });
+  
+  const goalList = Object.values(goalStats);
+  return {
+    weekOf: plan.weekOf,
+    goals: goalList,
+    days,
+    planned: days.reduce((sum, d) => sum + d.planned, 0),
+    completed: days.reduce((sum, d) => sum + d.completed, 0),
+    plannedMinutes: goalList.reduce((sum, g) => sum + g.plannedMinutes, 0),
+    actualMinutes: goalList.reduce((sum, g) => sum + g.actualMinutes, 0),
+    focusTask: plan.focusTask,
+    mood: plan.mood
+  };
+}
+
+/* ==================== REMINDERS ==================== */
+// Quiet hours may run past midnight; the same start and end means there are none
+const DEFAULT_REMINDERS = {
+  enabled: false,
+  leadMinutes: 10,
+  digest: true,
+  digestTime: "08:00",
+  nudge: true,
+  nudgeTime: "20:00",
+  quietStart: "22:00",
+  quietEnd: "07:00"
+};
+const REMINDER_LEADS = [0, 5, 10, 15, 30, 60];
+
+function inQuietHours(minutes, { quietStart, quietEnd }) {
+  const start = toMinutes(quietStart);
+  const end = toMinutes(quietEnd);
+  if (start === end) return false;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Minutes of warning before a goal's sessions, or null when the goal's reminders are off
+function reminderLead(goal, settings) {
+  if (goal?.reminders?.enabled === false) return null;
+  return goal?.reminders?.leadMinutes ?? settings.leadMinutes;
+}
+
+// What to remind about on one day of a week plan, at minutes since midnight: each
+// open session ahead of its start, the morning digest and the end-of-day nudge for
+// whatever is still unticked. Anything that falls in quiet hours is dropped.
+function remindersForDay(plan, day, { goals = [], settings = DEFAULT_REMINDERS } = {}) {
+  const sessions = plan.table[day] || [];
+  const open = sessions.filter(t => !t.completed);
+  const key = `${plan.weekOf}|${day}`;
+  const lines = list => list.map(t => `${formatTime(t.start)} ${t.task}`).join("\n");
+  const reminders = [];
+  
+  open.forEach(t => {
+    const goal = goals.find(g => g.id === t.goalId);
+    const lead = reminderLead(goal, settings);
+    if (lead === null || t.start < lead) return;
+    reminders.push({
+      key: `${key}|task|${t.id}|${t.start}`,
+      kind: "task",
+      at: t.start - lead,
+      taskId: t.id,
+      title: `⏰ ${t.task} at ${formatTime(t.start)}`,
+      body: `${lead ? `Starts in ${lead} min${lead !== 1 ? "s" : ""}` : "Starting now"} · ${goal?.name ?? t.goal}`
+    });
+  });
+  
+  if (settings.digest && sessions.length) {
+    reminders.push({
+      key: `${key}|digest`,
+      kind: "digest",
+      at: toMinutes(settings.digestTime),
+      title: `☀️ Today: ${sessions.length} session${sessions.length !== 1 ? "s" : ""} planned`,
+      body: lines(sessions)
+    });
+  }
+  if (settings.nudge && open.length) {
+    reminders.push({
+      key: `${key}|nudge`,
+      kind: "nudge",
+      at: toMinutes(settings.nudgeTime),
+      title: `🌙 ${open.length} task${open.length !== 1 ? "s" : ""} still open today`,
+      body: `${lines(open)}\nTick off what you did, or move the rest to another day.`
+    });
+  }
+  
+  return reminders.filter(r => !inQuietHours(r.at, settings)).sort((a, b) => a.at - b.at);
+}
+
+// Reminders due after `from` and up to `to` (Dates), across days and weeks
+function remindersBetween(from, to, { weekPlans, goals = [], settings = DEFAULT_REMINDERS, weekStart = 1 }) {
+  const due = [];
+  const first = new Date(from);
+  first.setHours(0, 0, 0, 0);
+  
+  for (let date = first; date <= to; date = addDays(date, 1)) {
+    const plan = weekPlans[toISODate(startOfWeek(date, weekStart))];
+    if (!plan) continue;
+    const day = WEEK_DAYS[(date.getDay() + 6) % 7];
+    remindersForDay(plan, day, { goals, settings }).forEach(r => {
+      const time = new Date(date);
+      time.setHours(0, r.at, 0, 0);
+      if (time > from && time <= to) due.push({ ...r, time });
+    });
+  }
+  return due;
+}
+
+/* ==================== PLAN FORMAT ==================== */
+const PLAN_SCHEMA_VERSION = 3;
+
+const TIME_PATTERN = "^([01]\\d|2[0-3]):[0-5]\\d$|^24:00$";
+const DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}$";
+const COLOR_SCHEMA = { type: "string", pattern: "^#[0-9a-fA-F]{6}$" };
+const ID_SCHEMA = { type: ["number", "string"] };
+
+const WINDOW_SCHEMA = {
+  type: "object",
+  required: ["start", "end"],
+  properties: {
+    start: { type: "string", pattern: TIME_PATTERN },
+    end: { type: "string", pattern: TIME_PATTERN }
+  }
+};
+
+const RULE_SCHEMA = {
+  type: "object",
+  required: ["metric", "op", "value"],
+  properties: {
+    metric: { enum: Object.keys(RULE_METRICS) },
+    op: { enum: Object.keys(RULE_OPERATORS) },
+    value: { type: "integer", minimum: 0 }
+  }
+};
+
+const RULES_SCHEMA = {
+  type: "object",
+  required: ["reward", "punishment"],
+  properties: {
+    reward: { type: "array", items: RULE_SCHEMA },
+    punishment: { type: "array", items: RULE_SCHEMA }
+  }
+};
+
+const TASK_SCHEMA = {
+  type: "object",
+  required: ["id", "task", "goalId", "days"],
+  properties: {
+    id: ID_SCHEMA,
+    task: { type: "string", minLength: 1 },
+    goal: { type: "string" },
+    goalId: ID_SCHEMA,
+    color: COLOR_SCHEMA,
+    deleted: { type: "boolean" },
+    duration: { type: "integer", minimum: 1, maximum: 1440 },
+    effort: { type: "integer", minimum: 1, maximum: 5 },
+    days: { type: "array", items: { enum: WEEK_DAYS } },
+    minPerWeek: { type: "integer", minimum: 1, maximum: 7 },
+    maxPerWeek: { type: "integer", minimum: 1, maximum: 7 },
+    type: { enum: Object.keys(TASK_TYPES) },
+    timesPerWeek: { type: "integer", minimum: 1, maximum: 7 },
+    dueDate: { type: "string", pattern: DATE_PATTERN },
+    dependsOn: ID_SCHEMA,
+    milestoneId: ID_SCHEMA
+  }
+};
+
+// A timetable or overflow: every day's sessions, each a task with its times and progress
+const SESSION_SCHEMA = {
+  ...TASK_SCHEMA,
+  properties: {
+    ...TASK_SCHEMA.properties,
+    start: { type: "integer", minimum: 0, maximum: 1440 },
+    end: { type: "integer", minimum: 0, maximum: 1440 },
+    actualMinutes: { type: "integer", minimum: 0 },
+    completed: { type: "boolean" }
+  }
+};
+const WEEK_TABLE_SCHEMA = {
+  type: "object",
+  required: WEEK_DAYS,
+  properties: Object.fromEntries(WEEK_DAYS.map(d => [d, { type: "array", items: SESSION_SCHEMA }]))
+};
+
+const GOAL_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "color"],
+  properties: {
+    id: ID_SCHEMA,
+    name: { type: "string", minLength: 1 },
+    color: COLOR_SCHEMA,
+    deadline: { type: "string", pattern: DATE_PATTERN },
+    milestones: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "name"],
+        properties: {
+          id: ID_SCHEMA,
+          name: { type: "string", minLength: 1 },
+          targetDate: { type: "string", pattern: DATE_PATTERN }
+        }
+      }
+    },
+    archivedAt: { type: "string" },
+    archivedTasks: { type: "array", items: TASK_SCHEMA },
+    reminders: {
+      type: "object",
+      required: ["enabled"],
+      properties: {
+        enabled: { type: "boolean" },
+        leadMinutes: { type: "integer", minimum: 0, maximum: 1440 }
+      }
+    }
+  }
+};
+
+const TEMPLATE_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "goals", "allTasks"],
+  properties: {
+    id: ID_SCHEMA,
+    name: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    goals: { type: "array", items: GOAL_SCHEMA },
+    allTasks: { type: "array", items: TASK_SCHEMA }
+  }
+};
+
+const PLAN_SCHEMA = {
+  type: "object",
+  required: ["schemaVersion", "goals", "allTasks"],
+  properties: {
+    schemaVersion: { type: "integer", minimum: 1 },
+    user: {
+      type: "object",
+      properties: { name: { type: "string" }, intent: { type: "string" } }
+    },
+    template: {
+      type: "object",
+      required: ["name"],
+      properties: { name: { type: "string", minLength: 1 }, description: { type: "string" } }
+    },
+    goals: { type: "array", items: GOAL_SCHEMA },
+    allTasks: { type: "array", items: TASK_SCHEMA },
+    mainDay: { enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"] },
+    reward: { type: "string" },
+    punishment: { type: "string" },
+    mood: { enum: ["energized", "normal", "tired", "stressed"] },
+    focusTask: { type: "string" },
+    availability: {
+      type: "object",
+      properties: Object.fromEntries(WEEK_DAYS.map(d => [d, { type: "array", items: WINDOW_SCHEMA }]))
+    },
+    breakMinutes: { type: ["string", "number"] },
+    pomodoro: {
+      type: "object",
+      required: ["work", "break"],
+      properties: {
+        work: { type: "integer", minimum: POMODORO_LIMITS.work[0], maximum: POMODORO_LIMITS.work[1] },
+        break: { type: "integer", minimum: POMODORO_LIMITS.break[0], maximum: POMODORO_LIMITS.break[1] }
+      }
+    },
+    weekStart: { type: "integer", minimum: 0, maximum: 6 },
+    weekPlans: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["weekOf", "table", "overflow"],
+        properties: {
+          weekOf: { type: "string", pattern: DATE_PATTERN },
+          table: WEEK_TABLE_SCHEMA,
+          overflow: WEEK_TABLE_SCHEMA,
+          rules: RULES_SCHEMA
+        }
+      }
+    },
+    weekHistory: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["weekOf", "goals", "days"],
+        properties: {
+          weekOf: { type: "string", pattern: DATE_PATTERN },
+          goals: { type: "array" },
+          days: { type: "array" }
+        }
+      }
+    },
+    rules: RULES_SCHEMA,
+    reminders: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        leadMinutes: { type: "integer", minimum: 0, maximum: 1440 },
+        digest: { type: "boolean" },
+        digestTime: { type: "string", pattern: TIME_PATTERN },
+        nudge: { type: "boolean" },
+        nudgeTime: { type: "string", pattern: TIME_PATTERN },
+        quietStart: { type: "string", pattern: TIME_PATTERN },
+        quietEnd: { type: "string", pattern: TIME_PATTERN }
+      }
+    },
+    verdicts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["weekOf", "results"],
+        properties: {
+          weekOf: { type: "string", pattern: DATE_PATTERN },
+          rewardEarned: { type: ["boolean", "null"] },
+          punishmentTriggered: { type: ["boolean", "null"] },
+          results: { type: "array" }
+        }
+      }
+    },
+    templates: { type: "array", items: TEMPLATE_SCHEMA },
+    commitments: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "title", "day", "start", "end", "date", "weekly"],
+        properties: {
+          id: { type: "string" },
+          title: { type: "string" },
+          day: { enum: WEEK_DAYS },
+          start: { type: "string", pattern: TIME_PATTERN },
+          end: { type: "string", pattern: TIME_PATTERN },
+          date: { type: "string", pattern: DATE_PATTERN },
+          weekly: { type: "boolean" },
+          until: { type: ["string", "null"], pattern: DATE_PATTERN },
+          interval: { type: "integer", minimum: 1 },
+          except: { type: "array", items: { type: "string", pattern: DATE_PATTERN } }
+        }
+      }
+    }
+  }
+};
+
+function typeOfValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Checks the subset of JSON Schema used above; returns [{ path, message }]
+function validateSchema(value, schema, path = "") {
+  const errors = [];
+  const at = path || "(root)";
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(", ")}` });
+    return errors;
+  }
+  
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const actual = typeOfValue(value);
+    const ok = allowed.some(t => t === actual || (t === "number" && actual === "integer"));
+    if (!ok) {
+      errors.push({ path: at, message: `should be ${allowed.join(" or ")}, got ${actual}` });
+      return errors;
+    }
+  }
+  
+  if (typeof value === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: "must not be empty" });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `"${value}" has the wrong format` });
+    }
+  }
+  
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  
+  if (typeOfValue(value) === "object") {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], sub, path ? `${path}.${key}` : key));
+      }
+    });
+    // Map-like objects: every key not listed in properties follows one schema
+    if (schema.additionalProperties) {
+      Object.entries(value)
+        .filter(([key]) => !(schema.properties || {})[key])
+        .forEach(([key, item]) => {
+          errors.push(...validateSchema(item, schema.additionalProperties, path ? `${path}.${key}` : key));
+        });
+    }
+  }
+  
+  return errors;
+}
+
+// Cross-field rules a schema can't express
+function validateReferences(data) {
+  const errors = [];
+  const goalIds = new Set();
+  const milestoneIds = new Map();
+  
+  (data.goals || []).forEach((g, i) => {
+    if (goalIds.has(String(g.id))) errors.push({ path: `goals[${i}].id`, message: `duplicate goal id ${g.id}` });
+    goalIds.add(String(g.id));
+    milestoneIds.set(String(g.id), new Set((g.milestones || []).map(m => String(m.id))));
+  });
+  
+  (data.allTasks || []).forEach((t, i) => {
+    if (!goalIds.has(String(t.goalId))) {
+      errors.push({ path: `allTasks[${i}].goalId`, message: `refers to goal ${t.goalId}, which isn't in this file` });
+    } else if (t.milestoneId != null && !milestoneIds.get(String(t.goalId)).has(String(t.milestoneId))) {
+      errors.push({ path: `allTasks[${i}].milestoneId`, message: `refers to milestone ${t.milestoneId}, which its goal doesn't have` });
+    }
+  });
+  
+  // Tasks of archived goals still count as prerequisites, so restoring a goal brings its links back
+  const archived = (data.goals || []).flatMap((g, i) => (g.archivedTasks || []).map((t, j) => ({ t, path: `goals[${i}].archivedTasks[${j}]` })));
+  const taskIds = new Set([...(data.allTasks || []), ...archived.map(a => a.t)].map(t => String(t.id)));
+  archived.forEach(({ t, path }) => {
+    if (t.dependsOn != null && !taskIds.has(String(t.dependsOn))) {
+      errors.push({ path: `${path}.dependsOn`, message: `refers to task ${t.dependsOn}, which isn't in this file` });
+    }
+  });
+  (data.allTasks || []).forEach((t, i) => {
+    if (t.dependsOn != null && !taskIds.has(String(t.dependsOn))) {
+      errors.push({ path: `allTasks[${i}].dependsOn`, message: `refers to task ${t.dependsOn}, which isn't in this file` });
+    }
+    if (t.type === "once" && !t.dueDate) {
+      errors.push({ path: `allTasks[${i}].dueDate`, message: "is required for a one-off task" });
+    }
+  });
+  
+  Object.entries(data.weekPlans || {}).forEach(([key, plan]) => {
+    if (plan && plan.weekOf !== key) {
+      errors.push({ path: `weekPlans.${key}.weekOf`, message: `is ${plan.weekOf}, but the plan is stored under ${key}` });
+    }
+    ["table", "overflow"].forEach(part => Object.entries(plan?.[part] || {}).forEach(([d, sessions]) => {
+      (Array.isArray(sessions) ? sessions : []).forEach((e, i) => {
+        if (e && !goalIds.has(String(e.goalId))) {
+          errors.push({ path: `weekPlans.${key}.${part}.${d}[${i}].goalId`, message: `refers to goal ${e.goalId}, which isn't in this file` });
+        }
+      });
+    }));
+  });
+  
+  return errors;
+}
+
+function validatePlan(data) {
+  return [...validateSchema(data, PLAN_SCHEMA), ...validateReferences(data)];
+}
+
+// Each migration upgrades a plan from version N to N + 1 and reports what it changed
+const PLAN_MIGRATIONS = {
+  // v1: the original export with no schemaVersion, day checkboxes only, no timing data
+  1(data, notes) {
+    const goalsList = Array.isArray(data.goals) ? data.goals : [];
+    const tasks = Array.isArray(data.allTasks) ? data.allTasks : [];
+    let filledDays = 0;
+    let linkedGoals = 0;
+    
+    tasks.forEach(t => {
+      if (!t || typeof t !== "object") return;
+      if (t.goalId === undefined && t.goal) {
+        const match = goalsList.find(g => g && g.name === t.goal);
+        if (match) {
+          t.goalId = match.id;
+          linkedGoals++;
+        }
+      }
+      if (!Array.isArray(t.days)) {
+        t.days = [];
+        filledDays++;
+      }
+      if (typeof t.task === "string") {
+        t.duration = t.duration || parseDuration(t.task);
+        t.effort = effortFromDuration(t.duration);
+      }
+      t.completed = t.completed || {};
+    });
+    
+    if (filledDays) notes.push(`${filledDays} task${filledDays !== 1 ? 's' : ''} had no days and will need scheduling`);
+    if (linkedGoals) notes.push(`${linkedGoals} task${linkedGoals !== 1 ? 's were' : ' was'} linked to goals by name`);
+    notes.push("Task durations were estimated from task text");
+    
+    data.weekHistory = data.weekHistory || [];
+    data.commitments = data.commitments || [];
+    data.schemaVersion = 2;
+    return data;
+  },
+  
+  // v2: one undated weeklyPlan, with checkmarks kept on the tasks themselves
+  2(data, notes, thisWeek) {
+    const tasks = Array.isArray(data.allTasks) ? data.allTasks : [];
+    const plan = data.weeklyPlan;
+    data.weekPlans = {};
+    
+    if (plan && typeof plan === "object" && plan.table) {
+      const weekOf = typeof plan.weekOf === "string" ? plan.weekOf : thisWeek;
+      plan.weekOf = weekOf;
+      // Sessions now carry their task's goal and days; ones whose task is gone are dropped
+      let dropped = 0;
+      ["table", "overflow"].forEach(part => {
+        plan[part] = Object.fromEntries(WEEK_DAYS.map(d => [d, (Array.isArray(plan[part]?.[d]) ? plan[part][d] : []).flatMap(entry => {
+          const task = tasks.find(t => t && entry && t.id === entry.id);
+          if (!task) {
+            dropped++;
+            return [];
+          }
+          return [{ goalId: task.goalId, goal: task.goal, days: [...(task.days || [])], ...entry, completed: Boolean(entry.completed || task.completed?.[d]) }];
+        })]));
+      });
+      data.weekPlans[weekOf] = plan;
+      notes.push(`The weekly plan is now dated as the week of ${weekOf}`);
+      if (dropped) notes.push(`${dropped} session${dropped !== 1 ? "s" : ""} of tasks no longer in the plan ${dropped !== 1 ? "were" : "was"} left out`);
+    }
+    
+    tasks.forEach(t => {
+      if (t && typeof t === "object") delete t.completed;
+    });
+    delete data.weeklyPlan;
+    data.weekStart = 1;
+    data.schemaVersion = 3;
+    return data;
+  }
+};
+
+// thisWeek dates a v2 plan, which didn't record the week it was made for
+function migratePlan(raw, thisWeek) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("File does not contain a plan object");
+  }
+  
+  let data = JSON.parse(JSON.stringify(raw));
+  const notes = [];
+  let version = data.schemaVersion ?? 1;
+  
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown schema version "${version}"`);
+  }
+  if (version > PLAN_SCHEMA_VERSION) {
+    throw new Error(`File uses schema version ${version}, but this app only understands up to ${PLAN_SCHEMA_VERSION}. Please update the app.`);
+  }
+  
+  while (version < PLAN_SCHEMA_VERSION) {
+    data = PLAN_MIGRATIONS[version](data, notes, thisWeek);
+    version = data.schemaVersion;
+  }
+  
+  return { data, notes };
+}
+
+// The plan as it is saved and exported, from the same fields in state
+function serializePlan(state) {
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    goals: state.goals,
+    allTasks: state.allTasks,
+    mainDay: state.mainDay,
+    reward: state.reward,
+    punishment: state.punishment,
+    mood: state.mood,
+    focusTask: state.focusTask,
+    availability: state.availability,
+    breakMinutes: state.breakMinutes,
+    pomodoro: state.pomodoro,
+    weekStart: state.weekStart,
+    weekPlans: state.weekPlans,
+    weekHistory: state.weekHistory,
+    commitments: state.commitments,
+    rules: state.rules,
+    reminders: state.reminders,
+    templates: state.templates,
+    verdicts: state.verdicts
+  };
+}
+
+/* ==================== SHARING ==================== */
+const SHARE_VERSION = 1;
+// What a shared session keeps: enough to draw it and to rebuild its task as a template
+const SHARED_TASK_FIELDS = [
+  "id", "task", "goal", "goalId", "color", "duration", "effort", "days",
+  "type", "timesPerWeek", "dueDate", "dependsOn", "minPerWeek", "maxPerWeek"
+];
+
+
+const SHARE_SCHEMA = {
+  type: "object",
+  required: ["v", "name", "weekOf", "weekStart", "availability", "goals", "table", "overflow"],
+  properties: {
+    v: { enum: [SHARE_VERSION] },
+    name: { type: "string" },
+    weekOf: { type: "string", pattern: DATE_PATTERN },
+    weekStart: { type: "integer", minimum: 0, maximum: 6 },
+    focusTask: { type: "string" },
+    availability: {
+      type: "object",
+      required: WEEK_DAYS,
+      properties: Object.fromEntries(WEEK_DAYS.map(d => [d, { type: "array", items: WINDOW_SCHEMA }]))
+    },
+    goals: { type: "array", items: GOAL_SCHEMA },
+    table: WEEK_TABLE_SCHEMA,
+    overflow: WEEK_TABLE_SCHEMA,
+    reward: { type: "string" },
+    punishment: { type: "string" },
+    rules: RULES_SCHEMA
+  }
+};
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.filter(f => object[f] !== undefined).map(f => [f, object[f]]));
+}
+
+// One week's plan cut down for a read-only viewer. The reward, punishment and
+// their conditions are only included with includeStakes.
+function sharePayload(plan, { name, goals, availability, weekStart = 1, includeStakes = false }) {
+  const sessions = entries => Object.fromEntries(WEEK_DAYS.map(d => [d, (entries[d] || []).map(t => ({
+    ...pick(t, SHARED_TASK_FIELDS),
+    ...(t.start !== undefined ? { start: t.start, end: t.end } : {}),
+    ...(t.actualMinutes ? { actualMinutes: t.actualMinutes } : {}),
+    completed: Boolean(t.completed)
+  }))]));
+  const table = sessions(plan.table);
+  const overflow = sessions(plan.overflow || {});
+  const goalIds = new Set(WEEK_DAYS.flatMap(d => [...table[d], ...overflow[d]]).map(t => String(t.goalId)));
+  
+  return {
+    v: SHARE_VERSION,
+    name,
+    weekOf: plan.weekOf,
+    weekStart,
+    focusTask: plan.focusTask || "",
+    availability,
+    goals: goals.filter(g => goalIds.has(String(g.id))).map(g => pick(g, ["id", "name", "color", "deadline"])),
+    table,
+    overflow,
+    ...(includeStakes ? {
+      reward: plan.reward || "",
+      punishment: plan.punishment || "",
+      ...(plan.rules ? { rules: plan.rules } : {})
+    } : {})
+  };
+}
+
+// Throws when a decoded link isn't a plan this app can show
+function readSharePayload(data) {
+  const errors = validateSchema(data, SHARE_SCHEMA);
+  if (errors.length) throw new Error(`${errors[0].path || "link"} ${errors[0].message}`);
+  return data;
+}
+
+// A shared week as a plan file holding its goals and tasks, ready for the import
+// dialog: sessions, checkmarks and the sharer's settings are left behind.
+function templateFromShare(shared) {
+  const tasks = new Map();
+  WEEK_DAYS.forEach(d => [...shared.table[d], ...shared.overflow[d]].forEach(t => {
+    if (!tasks.has(String(t.id))) tasks.set(String(t.id), pick(t, SHARED_TASK_FIELDS));
+  }));
+  const allTasks = [...tasks.values()];
+  allTasks.forEach(t => {
+    // A prerequisite that wasn't on this week's plan isn't in the template either
+    if (t.dependsOn != null && !tasks.has(String(t.dependsOn))) delete t.dependsOn;
+  });
+  
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    goals: shared.goals.map(g => ({ ...g })),
+    allTasks,
+    weekPlans: {},
+    weekHistory: [],
+    commitments: [],
+    verdicts: []
+  };
+}
+
+/* ==================== TEMPLATES ==================== */
+// Built-in starting points: goals with their task lines and suggested days. Durations
+// and repeat rules are read from the text, just as when a student types the lines.
+const TEMPLATE_OUTLINES = [
+  {
+    id: "exam-prep-4",
+    name: "Exam prep – 4 subjects",
+    description: "Past papers, flashcards and a weekly mock test across four subjects",
+    goals: [
+      { name: "Mathematics", color: "#3b82f6", tasks: [
+        ["Past paper questions 1 hour", ["Mon", "Thu"]],
+        ["Formula flashcards 20 mins", ["Tue", "Sat"]],
+        ["Review mistakes 30 mins", ["Sun"]]
+      ] },
+      { name: "Physics", color: "#f59e0b", tasks: [
+        ["Past paper questions 1 hour", ["Tue", "Fri"]],
+        ["Derivations practice 45 mins", ["Wed"]],
+        ["Summarize a chapter 30 mins", ["Sat"]]
+      ] },
+      { name: "Chemistry", color: "#10b981", tasks: [
+        ["Reaction mechanisms 45 mins", ["Mon", "Wed"]],
+        ["Practice problems 1 hour", ["Thu"]],
+        ["Flashcards 20 mins", ["Sun"]]
+      ] },
+      { name: "Biology", color: "#ec4899", tasks: [
+        ["Diagram drills 30 mins", ["Tue", "Fri"]],
+        ["Read and annotate notes 45 mins", ["Wed", "Sat"]],
+        ["Mock test 1.5 hours", ["Sun"]]
+      ] }
+    ]
+  },
+  {
+    id: "coding-interview",
+    name: "Coding interview prep",
+    description: "Daily problem solving, system design on the weekend and a mock interview every week",
+    goals: [
+      { name: "Data structures", color: "#8b5cf6", tasks: [
+        ["Arrays and strings problems 45 mins", ["Mon", "Thu"]],
+        ["Trees and graphs problems 1 hour", ["Tue", "Fri"]]
+      ] },
+      { name: "Algorithms", color: "#06b6d4", tasks: [
+        ["Dynamic programming drills 1 hour", ["Wed", "Sat"]],
+        ["Review solutions 30 mins", ["Sun"]]
+      ] },
+      { name: "System design", color: "#f97316", tasks: [
+        ["Read an architecture case study 30 mins", ["Wed"]],
+        ["Design a system end to end 1.5 hours", ["Sat"]]
+      ] },
+      { name: "Mock interviews", color: "#ef4444", tasks: [
+        ["Behavioral stories 20 mins", ["Mon", "Thu"]],
+        ["Timed mock interview 1 hour", ["Sun"]]
+      ] }
+    ]
+  },
+  {
+    id: "semester-balanced",
+    name: "Semester balanced",
+    description: "Coursework every weekday, with reading, exercise and a personal project kept in the week",
+    goals: [
+      { name: "Coursework", color: "#3b82f6", tasks: [
+        ["Lecture review 45 mins every weekday"],
+        ["Assignment work 1.5 hours", ["Tue", "Thu"]]
+      ] },
+      { name: "Reading", color: "#14b8a6", tasks: [
+        ["Course reading 30 mins 3x per week"]
+      ] },
+      { name: "Health", color: "#22c55e", tasks: [
+        ["Workout 45 mins", ["Mon", "Wed", "Fri"]],
+        ["Meal prep 1 hour", ["Sun"]]
+      ] },
+      { name: "Personal project", color: "#a855f7", tasks: [
+        ["Side project 1 hour", ["Sat"]],
+        ["Plan next week 20 mins", ["Sun"]]
+      ] }
+    ]
+  }
+];
+
+// What a template keeps of a task: no progress, and nothing tied to a date
+const TEMPLATE_TASK_FIELDS = SHARED_TASK_FIELDS.filter(f => f !== "dueDate");
+
+// Turns an outline into the stored form, whose goals and allTasks are shaped as in a plan
+function templateFromOutline({ id, name, description, goals }) {
+  const allTasks = [];
+  const goalList = goals.map((g, i) => {
+    const goalId = i + 1;
+    g.tasks.forEach(([task, days = []], j) => {
+      const duration = parseDuration(task);
+      allTasks.push({
+        id: goalId * 100 + j,
+        task,
+        goal: g.name,
+        goalId,
+        color: g.color,
+        duration,
+        effort: effortFromDuration(duration),
+        days,
+        minPerWeek: 1,
+        maxPerWeek: 1,
+        ...parseTaskRule(task)
+      });
+    });
+    return { id: goalId, name: g.name, color: g.color };
+  });
+  return { id, name, description, goals: goalList, allTasks };
+}
+
+const BUILT_IN_TEMPLATES = TEMPLATE_OUTLINES.map(templateFromOutline);
+
+// The reusable part of a plan: the goals still being planned and their tasks. Deadlines,
+// milestones and one-off tasks belong to particular dates, so they are left out.
+function templateFromPlan(data, { id, name, description = "" }) {
+  const goals = data.goals.filter(g => !g.archivedAt).map(g => pick(g, ["id", "name", "color", "reminders"]));
+  const goalIds = new Set(goals.map(g => String(g.id)));
+  const allTasks = data.allTasks
+    .filter(t => !t.deleted && t.type !== "once" && goalIds.has(String(t.goalId)))
+    .map(t => pick(t, TEMPLATE_TASK_FIELDS));
+  const taskIds = new Set(allTasks.map(t => String(t.id)));
+  allTasks.forEach(t => {
+    if (t.dependsOn != null && !taskIds.has(String(t.dependsOn))) delete t.dependsOn;
+  });
+  
+  return JSON.parse(JSON.stringify({ id, name, ...(description && { description }), goals, allTasks }));
+}
+
+// A template as plan data with fresh ids from nextId(), ready to merge into a plan
+function instantiateTemplate(template, nextId) {
+  const copy = JSON.parse(JSON.stringify(template));
+  const goalIds = new Map(copy.goals.map(g => [String(g.id), nextId()]));
+  const taskIds = new Map(copy.allTasks.map(t => [String(t.id), nextId()]));
+  const goalName = new Map(copy.goals.map(g => [String(g.id), g.name]));
+  
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    goals: copy.goals.map(g => ({ ...g, id: goalIds.get(String(g.id)) })),
+    allTasks: copy.allTasks.map(t => ({
+      ...t,
+      id: taskIds.get(String(t.id)),
+      goalId: goalIds.get(String(t.goalId)),
+      goal: goalName.get(String(t.goalId)),
+      deleted: false,
+      ...(t.dependsOn != null && { dependsOn: taskIds.get(String(t.dependsOn)) })
+    })),
+    weekPlans: {},
+    weekHistory: [],
+    commitments: [],
+    verdicts: []
+  };
+}
+
+// Template files are plan files with only goals and tasks, named by their "template" field
+function templateFile(template) {
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    template: { name: template.name, ...(template.description && { description: template.description }) },
+    goals: template.goals,
+    allTasks: template.allTasks
+  };
+}
+
+// Any valid plan file can become a template. Throws with the first problem otherwise.
+function readTemplateFile(raw, { id, thisWeek, fallbackName }) {
+  const { data } = migratePlan(raw, thisWeek);
+  const [error] = validatePlan(data);
+  if (error) throw new Error(`${error.path} ${error.message}`);
+  return templateFromPlan(data, {
+    id,
+    name: data.template?.name || fallbackName,
+    description: data.template?.description
+  });
+}
+
+return {
+  WEEK_DAYS, WORK_DAYS, TASK_TYPES, DEFAULT_TASK_MINUTES, SLOT_MINUTES, DAY_MS,
+  DAILY_EFFORT_CAP, MAIN_DAY_WEIGHT, POMODORO_LIMITS, RULE_METRICS, RULE_OPERATORS,
+  toISODate, fromISODate, startOfWeek, addDays, weekDays, dateOfDay,
+  parseTaskLines, parseDuration, hasDuration, effortFromDuration, parseTaskRule, parseTaskList,
+  fixedDays, isUnscheduledWeekly, isTaskFinished, dependencyOrder, taskDeadline, expandOccurrences,
+  defaultAvailability, toMinutes, formatTime, subtractBusy, scheduleDay, orderAfterPrerequisites,
+  freeWindows, placeInOrder, commitmentsForDay, buildWeekTable,
+  dayLoads, proposeDistribution, workloadHeuristics, planWarnings, percent, summarizeWeek,
+  DEFAULT_REMINDERS, REMINDER_LEADS, inQuietHours, reminderLead, remindersForDay, remindersBetween,
+  PLAN_SCHEMA_VERSION, PLAN_SCHEMA, validateSchema, validateReferences, validatePlan,
+  PLAN_MIGRATIONS, migratePlan, serializePlan,
+  SHARE_VERSION, sharePayload, readSharePayload, templateFromShare,
+  BUILT_IN_TEMPLATES, templateFromOutline, templateFromPlan, instantiateTemplate, templateFile, readTemplateFile
+};
+});
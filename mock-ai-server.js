@@ -0,0 +1,124 @@
+/* ==================== MOCK AI SERVER ====================
+ * Deterministic stand-in for the AI providers so the planner can be
+ * developed and tested offline. Speaks both the Anthropic Messages API
+ * (POST /v1/messages) and the OpenAI Chat Completions API
+ * (POST /v1/chat/completions). The same prompt always gets the same answer.
+ *
+ * Usage: node mock-ai-server.js [port]   (default 8787)
+ */
+const http = require("http");
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+
+/* ==================== RESPONSES ==================== */
+function taskBreakdown(prompt) {
+  const goal = (prompt.match(/^Goal: (.+)$/m) || [])[1] || "your goal";
+  const existing = new Set(
+    (prompt.match(/^- .+$/gm) || []).map(line => line.slice(2).trim().toLowerCase())
+  );
+
+  const tasks = [
+    { task: `Read and summarise the basics of ${goal}`, duration: 45 },
+    { task: `Watch one lecture on ${goal} and make notes`, duration: 30 },
+    { task: `Practice 10 problems on ${goal}`, duration: 60 },
+    { task: `Make flashcards for key ${goal} terms`, duration: 20 },
+    { task: `Review mistakes from practice`, duration: 30 },
+    { task: `Teach one ${goal} concept out loud`, duration: 15 }
+  ].filter(t => !existing.has(t.task.toLowerCase()));
+
+  return JSON.stringify({ tasks });
+}
+
+function scheduleInsights(prompt) {
+  const days = [...prompt.matchAll(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun): (\d+) tasks/gm)]
+    .map(([, day, count]) => ({ day, count: Number(count) }));
+  const mood = (prompt.match(/^Current Mood\/Energy: (\w+)$/m) || [])[1] || "normal";
+
+  if (days.length === 0) return "• Keep your plan simple and take regular breaks.";
+
+  const busiest = days.reduce((a, b) => (b.count > a.count ? b : a));
+  const free = days.filter(d => d.count === 0).map(d => d.day);
+
+  return [
+    `• ${busiest.day} is your busiest day with ${busiest.count} tasks - start it with the hardest one.`,
+    free.length
+      ? `• ${free.join(", ")} ${free.length === 1 ? "is" : "are"} free - use one for review or catch-up.`
+      : "• Every day has work - protect at least one evening for rest.",
+    mood === "tired" || mood === "stressed"
+      ? `• You're feeling ${mood}: keep sessions under 45 minutes and take longer breaks.`
+      : `• You're feeling ${mood}: batch similar tasks to stay in flow.`,
+    "• Review what you finished at the end of each day."
+  ].join("\n");
+}
+
+function reply(prompt) {
+  return /^Goal: /m.test(prompt) && /JSON/.test(prompt)
+    ? taskBreakdown(prompt)
+    : scheduleInsights(prompt);
+}
+
+function lastUserPrompt(body) {
+  const message = [...(body.messages || [])].reverse().find(m => m.role === "user");
+  if (!message) return "";
+  return typeof message.content === "string"
+    ? message.content
+    : message.content.map(part => part.text || "").join("\n");
+}
+
+/* ==================== HTTP ==================== */
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS"
+  });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204, {});
+  if (req.method !== "POST") return send(res, 405, { error: "Method not allowed" });
+
+  let raw = "";
+  req.on("data", chunk => (raw += chunk));
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return send(res, 400, { error: "Invalid JSON body" });
+    }
+
+    const text = reply(lastUserPrompt(body));
+    const model = body.model || "mock-planner";
+
+    if (req.url === "/v1/messages") {
+      return send(res, 200, {
+        id: "msg_mock",
+        type: "message",
+        role: "assistant",
+        model,
+        content: [{ type: "text", text }],
+        stop_reason: "end_turn"
+      });
+    }
+
+    if (req.url === "/v1/chat/completions") {
+      return send(res, 200, {
+        id: "chatcmpl-mock",
+        object: "chat.completion",
+        model,
+        choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }]
+      });
+    }
+
+    send(res, 404, { error: `Unknown endpoint ${req.url}` });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock AI server listening on http://localhost:${PORT}`);
+  console.log(`  Anthropic-style: POST /v1/messages`);
+  console.log(`  OpenAI-style:    POST /v1/chat/completions`);
+});
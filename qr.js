@@ -0,0 +1,337 @@
+/* ==================== QR CODE ====================
+ * A small QR code encoder (ISO/IEC 18004, byte mode) so share links can be shown
+ * as a code without a server or a library. Picks the smallest version that fits,
+ * at error correction level M, or L when the text is too long for M.
+ *
+ * Browser: <script src="qr.js"> defines window.QRCode
+ * Node:    const QRCode = require("./qr.js")
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.QRCode = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+
+/* ==================== TABLES ==================== */
+// Indexed by version (1–40); index 0 is unused
+const ECC_LEVELS = {
+  L: {
+    formatBits: 1,
+    codewordsPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+  },
+  M: {
+    formatBits: 0,
+    codewordsPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+  }
+};
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const BYTE_MODE = 0b0100;
+const PENALTY = { run: 3, block: 3, finder: 40, balance: 10 };
+
+/* ==================== CAPACITY ==================== */
+function sizeOf(version) {
+  return version * 4 + 17;
+}
+
+// Modules left for data and error correction once the function patterns are drawn
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, level) {
+  return Math.floor(rawDataModules(version) / 8) - level.codewordsPerBlock[version] * level.blocks[version];
+}
+
+function lengthBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function capacity(version, level) {
+  return Math.floor((dataCodewords(version, level) * 8 - 4 - lengthBits(version)) / 8);
+}
+
+/* ==================== REED-SOLOMON ==================== */
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+// The error correction codewords for one block of data
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => result[i] ^= gfMultiply(coef, factor));
+  });
+  return result;
+}
+
+/* ==================== CODEWORDS ==================== */
+function dataBits(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, lengthBits(version));
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = dataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+// Splits the data into blocks, adds each block's error correction and interleaves them
+function withErrorCorrection(data, version, level) {
+  const blockCount = level.blocks[version];
+  const eccLength = level.codewordsPerBlock[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortLength = Math.floor(rawCodewords / blockCount) - eccLength;
+  const divisor = rsDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ecc: rsRemainder(block, divisor) });
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortLength; i++) {
+    blocks.forEach(b => { if (i < b.data.length) result.push(b.data[i]); });
+  }
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach(b => result.push(b.ecc[i]));
+  }
+  return result;
+}
+
+/* ==================== MATRIX ==================== */
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = sizeOf(version) - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function createMatrix(version) {
+  const size = sizeOf(version);
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their light separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    // Skip the three corners the finder patterns already occupy
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  drawFormatBits(set, size, 0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits(set, size, bits) {
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+function formatBits(level, mask) {
+  const data = (level.formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+// Fills the non-reserved modules in the standard two-column zigzag, bottom right first
+function placeCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+/* ==================== MASKING ==================== */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = ["10111010000", "00001011101"];
+
+// The standard penalty score: lower means easier to scan
+function penalty(modules) {
+  const size = modules.length;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map(row => row[x]))
+  ].map(line => line.map(dark => (dark ? "1" : "0")).join(""));
+  let score = 0;
+
+  lines.forEach(line => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach(run => score += PENALTY.run + run.length - 5);
+    FINDER_LIKE.forEach(pattern => {
+      for (let i = line.indexOf(pattern); i !== -1; i = line.indexOf(pattern, i + 1)) score += PENALTY.finder;
+    });
+  });
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += PENALTY.block;
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY.balance;
+  return score;
+}
+
+/* ==================== ENCODE ==================== */
+// Returns { version, level, size, modules } with modules[y][x] true for dark.
+// Throws a RangeError when the text doesn't fit even the largest code.
+function encode(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 0;
+  let levelName = null;
+  for (const name of ["M", "L"]) {
+    for (let v = MIN_VERSION; v <= MAX_VERSION && !version; v++) {
+      if (bytes.length <= capacity(v, ECC_LEVELS[name])) {
+        version = v;
+        levelName = name;
+      }
+    }
+    if (version) break;
+  }
+  if (!version) throw new RangeError(`Text is ${bytes.length} bytes; a QR code holds at most ${capacity(MAX_VERSION, ECC_LEVELS.L)}`);
+
+  const level = ECC_LEVELS[levelName];
+  const codewords = withErrorCorrection(dataBits(bytes, version, level), version, level);
+
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const matrix = createMatrix(version);
+    placeCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix.set, matrix.size, formatBits(level, mask));
+    const score = penalty(matrix.modules);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  });
+
+  return { version, level: levelName, size: sizeOf(version), modules: best.modules };
+}
+
+return { encode, capacity, ECC_LEVELS, rsDivisor, rsRemainder };
+});
@@ -1,5 +1,19 @@
 document.addEventListener("DOMContentLoaded", function () {
 
+/* ==================== CORE ==================== */
+// Parsing, week building, workload heuristics and the plan format live in core.js;
+// the functions below that read page state wrap the core ones with it.
+const {
+  WEEK_DAYS, TASK_TYPES, SLOT_MINUTES, DAY_MS, POMODORO_LIMITS, RULE_METRICS, RULE_OPERATORS,
+  toISODate, fromISODate, addDays, dateOfDay,
+  parseTaskLines, parseDuration, hasDuration, effortFromDuration, parseTaskRule, parseTaskList,
+  fixedDays, isUnscheduledWeekly, defaultAvailability, toMinutes, formatTime,
+  freeWindows, placeInOrder, buildWeekTable, proposeDistribution, workloadHeuristics, planWarnings, percent,
+  DEFAULT_REMINDERS, REMINDER_LEADS, remindersBetween,
+  validatePlan, migratePlan, serializePlan, sharePayload, readSharePayload, templateFromShare,
+  BUILT_IN_TEMPLATES, templateFromPlan, instantiateTemplate, templateFile, readTemplateFile
+} = PlannerCore;
+
 /* ==================== GLOBAL STATE ==================== */
 let slide = 0;
 const slides = document.querySelectorAll(".slide");
@@ -8,12 +22,44 @@ const bar = document.getElementById("bar");
 let currentUser = null;
 let goals = [];
 let allTasks = [];
-let weeklyPlan = null;
+let weekPlans = {};
+let weekHistory = [];
+let commitments = [];
+let taskDrafts = {};
+let accountabilityRules = { reward: [], punishment: [] };
+let verdicts = [];
+
+// Day keys come from WEEK_DAYS; the order shown follows weekStartDay
+let weekStartDay = 1; // 0 = Sunday … 6 = Saturday, as in Date#getDay()
+let viewedWeek = toISODate(startOfWeek(new Date()));
+let weeklyPlan = null; // the plan for viewedWeek, if there is one
+let availability = defaultAvailability();
+
+// Numeric ids for goals, tasks and milestones: time-based like the stored ones, but never
+// handed out twice in a session and never one of the ids in `taken`
+let lastId = 0;
+function newId(taken = new Set()) {
+  do {
+    lastId = Math.max(Date.now(), lastId + 1);
+  } while (taken.has(String(lastId)));
+  return lastId;
+}
+
+// Every goal, milestone and task id in the plan, archived tasks included
+function planIds() {
+  const archived = goals.flatMap(g => [...(g.milestones || []), ...(g.archivedTasks || [])]);
+  return new Set([...goals, ...allTasks, ...archived].map(item => String(item.id)));
+}
 
 /* ==================== UI NAVIGATION ==================== */
+const PLAN_SLIDE = 6; // the timetable; the slides after it sit outside the step flow
+const STATS_SLIDE = 7;
+const SHARED_SLIDE = 8; // a read-only plan opened from a share link
+let shownSlide = 0;
+
 function updateUI() {
   slides.forEach((s, i) => s.classList.toggle("active", i === slide));
-  const progress = slide === 0 ? 0 : ((slide) / (slides.length - 1)) * 100;
+  const progress = slide === SHARED_SLIDE ? 0 : (Math.min(slide, PLAN_SLIDE) / PLAN_SLIDE) * 100;
   bar.style.width = progress + "%";
   
   // Update user profile display
@@ -21,10 +67,16 @@ function updateUI() {
     document.getElementById("userProfile").style.display = "flex";
     document.getElementById("userNameDisplay").textContent = currentUser.name;
   }
+  
+  // Focus follows the slide, so keyboard and screen reader users start at its heading
+  if (slide !== shownSlide) {
+    shownSlide = slide;
+    slides[slide].querySelector("h2")?.focus();
+  }
 }
 
 function next() {
-  if (slide < slides.length - 1) {
+  if (slide < PLAN_SLIDE) {
     saveProgress();
     slide++;
     updateUI();
@@ -38,48 +90,380 @@ function back() {
   }
 }
 
+/* ==================== SAFE RENDERING ==================== */
+// Markup is only ever built with html``: interpolated values are escaped unless they are
+// html`` fragments themselves (or arrays of them), and render() escapes anything else it is
+// given. Names, task text, imported plans and AI output therefore can't inject markup.
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+class SafeHTML {
+  constructor(markup) {
+    this.markup = markup;
+  }
+  
+  toString() {
+    return this.markup;
+  }
+}
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+function markupOf(value) {
+  if (value instanceof SafeHTML) return value.markup;
+  if (Array.isArray(value)) return value.map(markupOf).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHTML(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHTML(values.reduce((out, value, i) => out + markupOf(value) + strings[i + 1], strings[0]));
+}
+
+// Small Markdown subset for AI replies: headings, bullet and numbered lists, paragraphs,
+// **bold**, *italic*, `code` and http(s) links. Text is escaped before any tag is added.
+function inlineMarkdown(text) {
+  return new SafeHTML(escapeHTML(text)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*/g, "$1<em>$2</em>")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>'));
+}
+
+function renderMarkdown(text) {
+  const blocks = [];
+  let list = null;
+  
+  String(text).split("\n").forEach(raw => {
+    const line = raw.trim();
+    const bullet = line.match(/^(?:[-*+•]|(\d+)[.)])\s+(.*)$/);
+    
+    if (bullet) {
+      const ordered = Boolean(bullet[1]);
+      if (!list || list.ordered !== ordered) {
+        list = { ordered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(html`<li>${inlineMarkdown(bullet[2])}</li>`);
+      return;
+    }
+    
+    list = null;
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) blocks.push(html`<h5>${inlineMarkdown(heading[1])}</h5>`);
+    else if (line) blocks.push(html`<p>${inlineMarkdown(line)}</p>`);
+  });
+  
+  return blocks.map(block => block instanceof SafeHTML ? block
+    : block.ordered ? html`<ol>${block.items}</ol>` : html`<ul>${block.items}</ul>`);
+}
+
+function render(el, markup) {
+  el.innerHTML = markupOf(markup);
+}
+
+function renderAppend(el, markup) {
+  el.insertAdjacentHTML("beforeend", markupOf(markup));
+}
+
 /* ==================== NOTIFICATIONS ==================== */
-function showNotification(message, type = 'info') {
+// An action ({ label, run }) adds a button to the toast and keeps it up a little longer
+function showNotification(message, type = 'info', action = null) {
   const container = document.getElementById('notificationContainer');
   const notification = document.createElement('div');
   notification.className = `notification notification-${type}`;
-  notification.innerHTML = `
+  render(notification, html`
     <span class="notification-icon">${type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️'}</span>
     <span class="notification-text">${message}</span>
-  `;
+    ${action ? html`<button class="notification-action">${action.label}</button>` : ""}
+  `);
+  
+  notification.querySelector('.notification-action')?.addEventListener('click', () => {
+    notification.remove();
+    action.run();
+  });
   
   container.appendChild(notification);
   
   setTimeout(() => {
     notification.classList.add('fade-out');
     setTimeout(() => notification.remove(), 300);
-  }, 3000);
+  }, action ? 6000 : 3000);
+}
+
+/* ==================== STORAGE ==================== */
+// Everything lives in IndexedDB. A copy of every value is kept in memory so reads
+// stay synchronous; writes update the copy at once and reach the database in order.
+const DB_NAME = "ai-focus-planner";
+const DB_STORE = "kv";
+const APP_KEY_PATTERN = /^(focusUsers|focusUser|focusAISettings|plan_.+)$/;
+
+let db = null; // stays null where IndexedDB is unavailable; localStorage is used instead
+const storedValues = new Map();
+let writeQueue = Promise.resolve();
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function readAllEntries() {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const request = db.transaction(DB_STORE).objectStore(DB_STORE).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(entries);
+      entries.push([cursor.key, cursor.value]);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runWrite(action) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, "readwrite");
+    action(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function legacyKeys() {
+  return Object.keys(localStorage).filter(key => APP_KEY_PATTERN.test(key));
+}
+
+async function initStorage() {
+  try {
+    db = await openDatabase();
+    (await readAllEntries()).forEach(([key, value]) => storedValues.set(key, value));
+    
+    // One-time move of everything the app used to keep in localStorage
+    const legacy = legacyKeys().filter(key => !storedValues.has(key));
+    if (legacy.length) {
+      legacy.forEach(key => storedValues.set(key, localStorage.getItem(key)));
+      await runWrite(os => legacy.forEach(key => os.put(storedValues.get(key), key)));
+      legacy.forEach(key => localStorage.removeItem(key));
+    }
+  } catch (error) {
+    console.error("IndexedDB unavailable, falling back to localStorage:", error);
+    db = null;
+    legacyKeys().forEach(key => storedValues.set(key, localStorage.getItem(key)));
+  }
+}
+
+function getStoredItem(key) {
+  return storedValues.has(key) ? storedValues.get(key) : null;
+}
+
+function setStoredItem(key, value) {
+  storedValues.set(key, value);
+  persist(os => os.put(value, key), () => localStorage.setItem(key, value));
+}
+
+function removeStoredItem(key) {
+  storedValues.delete(key);
+  persist(os => os.delete(key), () => localStorage.removeItem(key));
+}
+
+function persist(write, fallback) {
+  if (!db) {
+    fallback();
+    return;
+  }
+  writeQueue = writeQueue
+    .then(() => runWrite(write))
+    .catch(error => {
+      console.error("Failed to save:", error);
+      showNotification("Couldn't save your changes to this device", "error");
+    });
 }
 
 /* ==================== AUTHENTICATION ==================== */
+const USERS_KEY = "focusUsers";
+const MAX_PIN_ATTEMPTS = 3;
+// The passphrase is also the encryption key's only secret, so it has to be long enough not to
+// be guessed offline. Profiles made with the old 4-digit PINs can still log in.
+const MIN_PASSPHRASE_LENGTH = 8;
+const LOCKOUT_SECONDS = 30;
+const MAX_LOCKOUT_SECONDS = 15 * 60;
+
+let selectedUserId = null;
+
+function loadUsers() {
+  try {
+    return JSON.parse(getStoredItem(USERS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveUsers(users) {
+  setStoredItem(USERS_KEY, JSON.stringify(users));
+}
+
+function updateStoredUser(user) {
+  saveUsers(loadUsers().map(u => u.id === user.id ? user : u));
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function generateSalt() {
+  return toHex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// PBKDF2-SHA256 so a leaked profile store can't be brute-forced instantly
+async function hashPin(pin, salt) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt: new TextEncoder().encode(salt), iterations: 100000, hash: "SHA-256" },
+    keyMaterial,
+    256
+  );
+  return toHex(bits);
+}
+
+// One-time move from the old single plaintext "focusUser" + "plan_<pin>" layout
+async function migrateLegacyUser() {
+  const legacy = getStoredItem("focusUser");
+  if (!legacy) return;
+  
+  try {
+    const old = JSON.parse(legacy);
+    const salt = generateSalt();
+    const user = {
+      id: crypto.randomUUID(),
+      name: old.name,
+      intent: old.intent,
+      salt,
+      pinHash: await hashPin(old.pin, salt),
+      createdAt: old.createdAt || new Date().toISOString(),
+      failedAttempts: 0,
+      lockedUntil: 0
+    };
+    
+    const plan = getStoredItem(`plan_${old.pin}`);
+    if (plan) {
+      setStoredItem(`plan_${user.id}`, plan);
+      removeStoredItem(`plan_${old.pin}`);
+    }
+    
+    saveUsers([...loadUsers(), user]);
+    removeStoredItem("focusUser");
+  } catch (error) {
+    console.error("Failed to migrate legacy user:", error);
+  }
+}
+
+/* ==================== ENCRYPTION ==================== */
+const KDF_ITERATIONS = 100000;
+
+// AES-GCM key for the signed-in user's plan. Only ever held in memory.
+let sessionKey = null;
+// Encryption is async, so saves are chained to land in the order they were made
+let saveQueue = Promise.resolve();
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+}
+
+function toBase64(buffer) {
+  let binary = "";
+  new Uint8Array(buffer).forEach(byte => binary += String.fromCharCode(byte));
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(secret, salt) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: fromHex(salt), iterations: KDF_ITERATIONS, hash: "SHA-256" },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptJSON(value, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { alg: "AES-GCM", iv: toHex(iv), data: toBase64(cipher) };
+}
+
+// Throws if the key is wrong or the data was tampered with
+async function decryptJSON(envelope, key) {
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromHex(envelope.iv) }, key, fromBase64(envelope.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+function isEncrypted(value) {
+  return Boolean(value && value.alg === "AES-GCM" && value.iv && value.data);
+}
+
 function showNewUser() {
   document.getElementById("authButtons").style.display = "none";
   document.getElementById("newUserForm").style.display = "block";
 }
 
 function showExistingUser() {
-  const saved = localStorage.getItem("focusUser");
-  if (!saved) {
+  const users = loadUsers();
+  if (users.length === 0) {
     showNotification("No user found. Please create an account first.", "error");
     return;
   }
   
-  const user = JSON.parse(saved);
-  document.getElementById("userGreeting").innerHTML = `
-    <p class="greeting-text">Welcome back, <strong>${user.name}</strong>!</p>
-    <p class="intention-text">Your intention: <em>${user.intent}</em></p>
-  `;
+  render(document.getElementById("userPicker"), users.map(u => html`
+    <button class="user-chip" data-user-id="${u.id}">
+      <span class="user-avatar">${u.name.charAt(0).toUpperCase()}</span>
+      <span>${u.name}</span>
+    </button>
+  `));
+  
+  selectUser(users.length === 1 ? users[0].id : null);
   
   document.getElementById("authButtons").style.display = "none";
   document.getElementById("existingUserForm").style.display = "block";
 }
 
-function registerUser() {
+function selectUser(userId) {
+  const user = loadUsers().find(u => u.id === userId);
+  selectedUserId = user ? user.id : null;
+  
+  document.querySelectorAll(".user-chip").forEach(chip => {
+    chip.classList.toggle("selected", chip.dataset.userId === selectedUserId);
+  });
+  
+  render(document.getElementById("userGreeting"), user ? html`
+    <p class="greeting-text">Welcome back, <strong>${user.name}</strong>!</p>
+    <p class="intention-text">Your intention: <em>${user.intent}</em></p>
+  ` : html`<p class="greeting-text">Who's planning today?</p>`);
+  document.getElementById("loginPinGroup").style.display = user ? "block" : "none";
+  document.getElementById("loginPin").value = "";
+  if (user) document.getElementById("loginPin").focus();
+}
+
+async function registerUser() {
   const name = document.getElementById("userName").value.trim();
   const intent = document.getElementById("userIntent").value.trim();
   const pin = document.getElementById("userPin").value.trim();
@@ -92,64 +476,149 @@ function registerUser() {
     showNotification("Please enter your intention", "error");
     return;
   }
-  if (pin.length !== 4 || !/^\d{4}$/.test(pin)) {
-    showNotification("PIN must be exactly 4 digits", "error");
+  if (pin.length < MIN_PASSPHRASE_LENGTH) {
+    showNotification(`Your passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`, "error");
+    return;
+  }
+  
+  const users = loadUsers();
+  if (users.some(u => u.name.toLowerCase() === name.toLowerCase())) {
+    showNotification("A profile with this name already exists", "error");
     return;
   }
   
-  const user = { name, intent, pin, createdAt: new Date().toISOString() };
-  localStorage.setItem("focusUser", JSON.stringify(user));
+  const salt = generateSalt();
+  const user = {
+    id: crypto.randomUUID(),
+    name,
+    intent,
+    salt,
+    pinHash: await hashPin(pin, salt),
+    keySalt: generateSalt(),
+    createdAt: new Date().toISOString(),
+    failedAttempts: 0,
+    lockedUntil: 0
+  };
+  saveUsers([...users, user]);
   currentUser = user;
+  sessionKey = await deriveKey(pin, user.keySalt);
   
+  document.getElementById("userName").value = "";
+  document.getElementById("userIntent").value = "";
+  document.getElementById("userPin").value = "";
+  
+  resetUndoHistory();
   showNotification(`Welcome, ${name}! Let's start planning.`, "success");
   slide = 1;
   updateUI();
+  offerPendingTemplate();
 }
 
-function loginUser() {
-  const saved = localStorage.getItem("focusUser");
-  if (!saved) {
-    showNotification("No user found", "error");
+async function loginUser() {
+  const user = loadUsers().find(u => u.id === selectedUserId);
+  if (!user) {
+    showNotification("Please choose your profile", "error");
+    return;
+  }
+  
+  const waitSeconds = Math.ceil((user.lockedUntil - Date.now()) / 1000);
+  if (waitSeconds > 0) {
+    showNotification(`Too many attempts. Try again in ${waitSeconds}s.`, "error");
     return;
   }
   
-  const user = JSON.parse(saved);
   const pin = document.getElementById("loginPin").value.trim();
   
-  if (pin !== user.pin) {
-    showNotification("Incorrect PIN. Please try again.", "error");
+  if (await hashPin(pin, user.salt) !== user.pinHash) {
+    user.failedAttempts = (user.failedAttempts || 0) + 1;
+    
+    // Lockout doubles with every failure past the limit
+    if (user.failedAttempts >= MAX_PIN_ATTEMPTS) {
+      const lockout = Math.min(
+        LOCKOUT_SECONDS * 2 ** (user.failedAttempts - MAX_PIN_ATTEMPTS),
+        MAX_LOCKOUT_SECONDS
+      );
+      user.lockedUntil = Date.now() + lockout * 1000;
+      showNotification(`Incorrect passphrase. Locked for ${lockout}s.`, "error");
+    } else {
+      const left = MAX_PIN_ATTEMPTS - user.failedAttempts;
+      showNotification(`Incorrect passphrase. ${left} attempt${left !== 1 ? 's' : ''} left.`, "error");
+    }
+    
+    updateStoredUser(user);
+    document.getElementById("loginPin").value = "";
     return;
   }
   
+  user.failedAttempts = 0;
+  user.lockedUntil = 0;
+  // Profiles created before encryption get their key salt on first login
+  if (!user.keySalt) user.keySalt = generateSalt();
+  updateStoredUser(user);
+  
   currentUser = user;
-  loadSavedPlan();
+  sessionKey = await deriveKey(pin, user.keySalt);
+  document.getElementById("loginPin").value = "";
+  if (!await loadSavedPlan()) return;
+  resetUndoHistory();
   
   showNotification(`Welcome back, ${user.name}!`, "success");
   slide = 1;
   updateUI();
+  offerPendingTemplate();
 }
 
 function logout() {
-  if (confirm("Are you sure you want to logout? Make sure to export your plan if needed.")) {
-    currentUser = null;
-    goals = [];
-    allTasks = [];
-    weeklyPlan = null;
-    slide = 0;
-    
-    document.getElementById("goalInput").value = "";
-    document.getElementById("reward").value = "";
-    document.getElementById("punishment").value = "";
-    document.getElementById("focusTask").value = "";
-    
-    document.getElementById("authButtons").style.display = "flex";
-    document.getElementById("newUserForm").style.display = "none";
-    document.getElementById("existingUserForm").style.display = "none";
-    document.getElementById("userProfile").style.display = "none";
-    
-    updateUI();
-    showNotification("Logged out successfully", "info");
-  }
+  if (!confirm("Are you sure you want to logout? Make sure to export your plan if needed.")) return;
+  endSession();
+  showNotification("Logged out successfully", "info");
+}
+
+// Settings fields and availability as a new profile starts with them
+function resetPlanFields() {
+  document.getElementById("reward").value = "";
+  document.getElementById("punishment").value = "";
+  document.getElementById("focusTask").value = "";
+  document.getElementById("mainDay").value = "Monday";
+  document.getElementById("mood").value = "normal";
+  document.getElementById("breakMinutes").value = 10;
+  document.getElementById("pomodoroWork").value = POMODORO_LIMITS.work[2];
+  document.getElementById("pomodoroBreak").value = POMODORO_LIMITS.break[2];
+  availability = defaultAvailability();
+}
+
+// Back to the login screen with nothing of the last profile left in memory
+function endSession() {
+  stopFocusSession();
+  currentUser = null;
+  sessionKey = null;
+  goals = [];
+  allTasks = [];
+  weekPlans = {};
+  weeklyPlan = null;
+  weekHistory = [];
+  commitments = [];
+  accountabilityRules = { reward: [], punishment: [] };
+  reminderSettings = { ...DEFAULT_REMINDERS };
+  userTemplates = [];
+  verdicts = [];
+  taskDrafts = {};
+  weekStartDay = 1;
+  viewedWeek = currentWeekOf();
+  slide = 0;
+  
+  document.getElementById("goalInput").value = "";
+  document.getElementById("weekStart").value = "1";
+  resetPlanFields();
+  renderAll();
+  resetUndoHistory();
+  
+  document.getElementById("authButtons").style.display = "flex";
+  document.getElementById("newUserForm").style.display = "none";
+  document.getElementById("existingUserForm").style.display = "none";
+  document.getElementById("userProfile").style.display = "none";
+  
+  updateUI();
 }
 
 function backToAuth() {
@@ -162,6 +631,7 @@ function backToAuth() {
 function addGoal() {
   const input = document.getElementById("goalInput");
   const color = document.getElementById("goalColor").value;
+  const deadline = document.getElementById("goalDeadline").value;
   
   if (!input.value.trim()) {
     showNotification("Please enter a goal", "error");
@@ -169,59 +639,253 @@ function addGoal() {
   }
   
   goals.push({ 
-    id: Date.now(),
+    id: newId(planIds()),
     name: input.value.trim(), 
     color,
+    ...(deadline && { deadline }),
     createdAt: new Date().toISOString()
   });
   
   input.value = "";
+  document.getElementById("goalDeadline").value = "";
   document.getElementById("goalColor").value = getRandomColor();
   
   renderGoals();
+  saveProgress("add goal");
   showNotification("Goal added successfully!", "success");
 }
 
+// Deleting a goal takes its tasks with it, and anything that waited on them can start freely
 function deleteGoal(index) {
-  if (confirm(`Delete goal: "${goals[index].name}"?`)) {
-    goals.splice(index, 1);
-    renderGoals();
-    showNotification("Goal deleted", "info");
+  const goal = goals[index];
+  delete taskDrafts[goal.id];
+  goals.splice(index, 1);
+  const removed = new Set([...allTasks.filter(t => t.goalId === goal.id), ...(goal.archivedTasks || [])].map(t => t.id));
+  allTasks = allTasks.filter(t => !removed.has(t.id));
+  [...allTasks, ...goals.flatMap(g => g.archivedTasks || [])].forEach(t => {
+    if (removed.has(t.dependsOn)) delete t.dependsOn;
+  });
+  // Its sessions go too (archiving is the way to keep them), so every session names a goal in the plan
+  Object.values(weekPlans).forEach(plan => ["table", "overflow"].forEach(part => {
+    Object.keys(plan[part]).forEach(d => {
+      plan[part][d] = plan[part][d].filter(e => e.goalId !== goal.id);
+    });
+  }));
+  goalsChanged(`delete "${goal.name}"`);
+  showNotification(`"${goal.name}" deleted`, "info", UNDO_ACTION);
+}
+
+function activeGoals() {
+  return goals.filter(g => !g.archivedAt);
+}
+
+// Name and colour changes flow into the goal's tasks and the sessions of this and later weeks.
+// Tasks that were given their own colour keep it; ended weeks stay as they were recorded.
+function updateGoal(index, field, value) {
+  const goal = goals[index];
+  const oldColor = goal.color;
+  
+  if (field === "name") {
+    if (!value.trim()) {
+      showNotification("Goal name can't be empty", "error");
+      renderGoals();
+      return;
+    }
+    goal.name = value.trim();
+  }
+  if (field === "color") goal.color = value;
+  
+  const thisWeek = currentWeekOf();
+  const sessions = Object.values(weekPlans)
+    .filter(plan => plan.weekOf >= thisWeek)
+    .flatMap(plan => WEEK_DAYS.flatMap(d => [...(plan.table[d] || []), ...(plan.overflow?.[d] || [])]));
+  
+  [...allTasks, ...sessions].filter(t => t.goalId === goal.id).forEach(t => {
+    t.goal = goal.name;
+    if (t.color === oldColor) t.color = goal.color;
+  });
+  
+  goalsChanged(`edit "${goal.name}"`);
+}
+
+function moveGoal(from, to) {
+  if (from === to || !goals[from] || !goals[to]) return;
+  const [goal] = goals.splice(from, 1);
+  goals.splice(to, 0, goal);
+  goalsChanged("reorder goals");
+}
+
+// Archived goals leave planning but keep their tasks, so restoring picks up where they left off
+function archiveGoal(index) {
+  buildTasksFromDrafts();
+  const goal = goals[index];
+  goal.archivedAt = new Date().toISOString();
+  goal.archivedTasks = allTasks.filter(t => t.goalId === goal.id);
+  allTasks = allTasks.filter(t => t.goalId !== goal.id);
+  goalsChanged(`archive "${goal.name}"`);
+  showNotification(`"${goal.name}" archived`, "info", UNDO_ACTION);
+}
+
+// Tasks come back under their old ids unless one was taken meanwhile, and
+// prerequisites among them follow the new ids
+function restoreGoal(index) {
+  const goal = goals[index];
+  const taskIds = new Set(allTasks.map(t => String(t.id)));
+  const remap = new Map();
+  const restored = (goal.archivedTasks || []).map(t => {
+    const id = taskIds.has(String(t.id)) ? newId(taskIds) : t.id;
+    taskIds.add(String(id));
+    remap.set(String(t.id), id);
+    return { ...t, id, goalId: goal.id, goal: goal.name };
+  });
+  restored.forEach(t => {
+    if (remap.has(String(t.dependsOn))) t.dependsOn = remap.get(String(t.dependsOn));
+  });
+  allTasks.push(...restored);
+  delete goal.archivedAt;
+  delete goal.archivedTasks;
+  goalsChanged(`restore "${goal.name}"`);
+  showNotification(`"${goal.name}" is back in your plan`, "success");
+}
+
+function addMilestone(index) {
+  const goal = goals[index];
+  const box = document.querySelector(`#goals .goal-box[data-index="${index}"]`);
+  const name = box.querySelector(".milestone-input").value.trim();
+  const targetDate = box.querySelector(".milestone-date-input").value;
+  
+  if (!name) {
+    showNotification("Please enter a milestone", "error");
+    return;
+  }
+  
+  goal.milestones = [...(goal.milestones || []), { id: newId(planIds()), name, ...(targetDate && { targetDate }) }];
+  goalsChanged("add milestone");
+}
+
+function updateMilestone(index, milestoneId, field, value) {
+  const milestone = goals[index].milestones.find(m => String(m.id) === milestoneId);
+  if (field === "name" && value.trim()) milestone.name = value.trim();
+  if (field === "targetDate") {
+    if (value) milestone.targetDate = value;
+    else delete milestone.targetDate;
   }
+  goalsChanged("edit milestone");
+}
+
+function removeMilestone(index, milestoneId) {
+  const goal = goals[index];
+  goal.milestones = goal.milestones.filter(m => String(m.id) !== milestoneId);
+  if (goal.milestones.length === 0) delete goal.milestones;
+  allTasks.forEach(t => {
+    if (t.goalId === goal.id && String(t.milestoneId) === milestoneId) delete t.milestoneId;
+  });
+  goalsChanged("remove milestone");
+}
+
+function goalsChanged(label) {
+  renderGoals();
+  renderBatch();
+  if (weeklyPlan) renderPlan();
+  saveProgress(label);
+}
+
+// A task on a milestone is due by the milestone's target date, otherwise by its goal's deadline
+function taskDeadline(t) {
+  return PlannerCore.taskDeadline(t, goals);
+}
+
+// Goal deadlines and milestone target dates of the goals still being planned
+function deadlineMarkers() {
+  return activeGoals().flatMap(g => [
+    ...(g.deadline ? [{ icon: "🎯", name: g.name, color: g.color, date: g.deadline }] : []),
+    ...(g.milestones || [])
+      .filter(m => m.targetDate)
+      .map(m => ({ icon: "🏁", name: `${m.name} (${g.name})`, color: g.color, date: m.targetDate }))
+  ]);
+}
+
+// Unsaved textarea edits win; otherwise the textarea shows the goal's current tasks
+function taskTextForGoal(goal) {
+  if (taskDrafts[goal.id] !== undefined) return taskDrafts[goal.id];
+  return allTasks
+    .filter(t => t.goalId === goal.id && !t.deleted)
+    .map(t => `• ${t.task}`)
+    .join("\n");
 }
 
 function renderGoals() {
   const goalsContainer = document.getElementById("goals");
   const tasksArea = document.getElementById("tasksArea");
   
-  if (goals.length === 0) {
-    goalsContainer.innerHTML = `
+  const archived = goals.map((g, i) => ({ g, i })).filter(({ g }) => g.archivedAt);
+  const archivedHTML = archived.length ? html`
+    <details class="archived-goals">
+      <summary>📦 Archived goals (${archived.length})</summary>
+      ${archived.map(({ g, i }) => html`
+        <div class="archived-goal" data-index="${i}">
+          <span class="color-dot" style="background:${g.color}"></span>
+          <span class="archived-goal-name">${g.name}</span>
+          <small>archived ${formatShortDate(new Date(g.archivedAt))} · ${(g.archivedTasks || []).length} task${(g.archivedTasks || []).length !== 1 ? 's' : ''}</small>
+          <button class="secondary btn-small" data-action="restore-goal">Restore</button>
+          <span class="delete" data-goal-index="${i}" title="Delete">✕</span>
+        </div>
+      `)}
+    </details>
+  ` : "";
+  
+  if (archived.length === goals.length) {
+    render(goalsContainer, html`
       <div class="empty-state">
         <p>🎯 No goals yet. Add your first goal above!</p>
       </div>
-    `;
-    tasksArea.innerHTML = "";
+      ${archivedHTML}
+    `);
+    render(tasksArea, "");
     return;
   }
   
-  goalsContainer.innerHTML = goals.map((g, i) => `
-    <div class="goal-box" data-index="${i}">
-      <div class="goal-header">
-        <strong class="goal-name">${g.name}</strong>
-        <span class="delete" onclick="deleteGoal(${i})">✕</span>
+  render(goalsContainer, html`
+    ${goals.map((g, i) => g.archivedAt ? "" : html`
+      <div class="goal-box" data-index="${i}">
+        <div class="goal-header">
+          <span class="drag-handle" draggable="true" tabindex="0" title="Drag to reorder (or Alt+↑/↓)" aria-label="Reorder ${g.name}">⠿</span>
+          <input class="goal-name-input" value="${g.name}" data-field="name" aria-label="Goal name" autocomplete="off">
+          <input type="color" class="goal-color-input" value="${g.color}" data-field="color" aria-label="Goal colour">
+          <button class="secondary btn-small" data-action="archive-goal" title="Archive: keep its history, stop planning it">📦</button>
+          <span class="delete" data-goal-index="${i}" title="Delete">✕</span>
+        </div>
+        ${g.deadline ? html`<div class="goal-deadline">🎯 ${deadlineText(g.deadline)}</div>` : ""}
+        <div class="color-bar" style="background:${g.color}"></div>
+        
+        <details class="goal-milestones" ${g.milestones ? "open" : ""}>
+          <summary>🏁 Milestones${g.milestones ? html` (${g.milestones.length})` : ""}</summary>
+          ${(g.milestones || []).map(m => html`
+            <div class="milestone-row" data-milestone-id="${m.id}">
+              <input value="${m.name}" data-field="milestone-name" aria-label="Milestone name" autocomplete="off">
+              <input type="date" value="${m.targetDate || ""}" data-field="milestone-date" aria-label="Target date">
+              <span class="delete" data-action="remove-milestone" title="Remove">✕</span>
+            </div>
+          `)}
+          <div class="milestone-row milestone-add">
+            <input class="milestone-input" placeholder="e.g., Finish chapter 1 exercises" aria-label="New milestone" autocomplete="off">
+            <input type="date" class="milestone-date-input" aria-label="New milestone target date">
+            <button class="secondary btn-small" data-action="add-milestone">Add</button>
+          </div>
+        </details>
       </div>
-      <div class="color-bar" style="background:${g.color}"></div>
-    </div>
-  `).join("");
+    `)}
+    ${archivedHTML}
+  `);
 
-  tasksArea.innerHTML = goals.map((g, i) => `
+  render(tasksArea, goals.map((g, i) => g.archivedAt ? "" : html`
     <div class="goal-task-box">
       <div class="goal-header">
         <strong class="goal-name">${g.name}</strong>
         <div class="color-indicator" style="background:${g.color}"></div>
       </div>
       
-      <button class="ai-generate-btn" onclick="generateTasksWithAI(${i})">
+      <button class="ai-generate-btn" data-goal-index="${i}">
         <span class="btn-icon">✨</span>
         Generate Tasks with AI
       </button>
@@ -230,6 +894,7 @@ function renderGoals() {
       
       <textarea 
         id="tasks${i}" 
+        data-goal-id="${g.id}"
         placeholder="Add tasks manually (one per line):
 • Study concepts for 1 hour
 • Complete practice exercises
@@ -243,7 +908,12 @@ Or click 'Generate with AI' above!"
         💡 Tip: Be specific about duration and action (e.g., "Study for 30 mins" not just "Study")
       </div>
     </div>
-  `).join("");
+  `));
+  
+  // Set through .value so task text never has to be escaped into markup
+  goals.forEach((g, i) => {
+    if (!g.archivedAt) document.getElementById("tasks" + i).value = taskTextForGoal(g);
+  });
 }
 
 function getRandomColor() {
@@ -255,121 +925,418 @@ function getRandomColor() {
   return colors[Math.floor(Math.random() * colors.length)];
 }
 
-/* ==================== AI TASK GENERATION ==================== */
-function generateTasksWithAI(index) {
-  const goal = goals[index];
-  const statusEl = document.getElementById(`aiStatus${index}`);
-  const textarea = document.getElementById(`tasks${index}`);
-
-  statusEl.innerHTML = `
-    <div class="ai-loading">
-      <span class="spinner"></span>
-      <span>Generating smart tasks for "${goal.name}"...</span>
-    </div>
-  `;
+/* ==================== AI PROVIDER ==================== */
+const AI_SETTINGS_KEY = "focusAISettings";
 
-  setTimeout(() => {
-    const demoTasks = [
-      `• Study basics of ${goal.name} for 45 mins`,
-      `• Watch one tutorial and make notes`,
-      `• Practice 10 related problems`,
-      `• Revise key concepts (30 mins)`,
-      `• Small project or practical task (1 hour)`
-    ].join("\n");
-
-    textarea.value = demoTasks;
-
-    statusEl.innerHTML = `
-      <div class="ai-success">
-        <span>✅</span>
-        <span>Tasks generated successfully!</span>
-      </div>
-    `;
+// Each adapter turns one prompt into the provider's chat request and pulls the text back out
+const AI_PROVIDERS = {
+  anthropic: {
+    label: "Anthropic (Messages API)",
+    endpoint: "https://api.anthropic.com/v1/messages",
+    model: "claude-sonnet-4-20250514",
+    buildRequest(settings, prompt, maxTokens) {
+      return {
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": settings.apiKey,
+          "anthropic-version": "2023-06-01",
+          "anthropic-dangerous-direct-browser-access": "true"
+        },
+        body: {
+          model: settings.model,
+          max_tokens: maxTokens,
+          messages: [{ role: "user", content: prompt }]
+        }
+      };
+    },
+    parseResponse(data) {
+      return (data.content || [])
+        .filter(block => block.type === "text")
+        .map(block => block.text)
+        .join("\n");
+    }
+  },
+  openai: {
+    label: "OpenAI-compatible (Chat Completions)",
+    endpoint: "https://api.openai.com/v1/chat/completions",
+    model: "gpt-4o-mini",
+    buildRequest(settings, prompt, maxTokens) {
+      const headers = { "Content-Type": "application/json" };
+      if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+      return {
+        headers,
+        body: {
+          model: settings.model,
+          max_tokens: maxTokens,
+          messages: [{ role: "user", content: prompt }]
+        }
+      };
+    },
+    parseResponse(data) {
+      return data.choices?.[0]?.message?.content || "";
+    }
+  }
+};
 
-    setTimeout(() => statusEl.innerHTML = "", 3000);
-    showNotification("AI generated demo tasks!", "success");
-  }, 1200);
+function defaultAISettings() {
+  return {
+    provider: "anthropic",
+    endpoint: AI_PROVIDERS.anthropic.endpoint,
+    model: AI_PROVIDERS.anthropic.model,
+    apiKey: ""
+  };
 }
 
-/* ==================== TASK BATCHING ==================== */
-function prepareBatch() {
-  if (goals.length === 0) {
-    showNotification("Please add at least one goal first", "error");
-    return;
+function loadAISettings() {
+  try {
+    const saved = JSON.parse(getStoredItem(AI_SETTINGS_KEY));
+    return saved && AI_PROVIDERS[saved.provider] ? { ...defaultAISettings(), ...saved } : defaultAISettings();
+  } catch {
+    return defaultAISettings();
   }
+}
+
+function isLocalEndpoint(endpoint) {
+  return /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?\//.test(endpoint);
+}
+
+async function callAI(prompt, { maxTokens = 1000 } = {}) {
+  const settings = loadAISettings();
+  const adapter = AI_PROVIDERS[settings.provider];
   
-  allTasks = [];
-  const batch = document.getElementById("batchArea");
-  batch.innerHTML = "";
+  // The local mock server doesn't check keys; real providers would just reject the call
+  if (!settings.apiKey && !isLocalEndpoint(settings.endpoint)) {
+    throw new Error("No API key configured");
+  }
   
-  let hasContent = false;
+  const { headers, body } = adapter.buildRequest(settings, prompt, maxTokens);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 30000);
   
-  goals.forEach((goal, i) => {
-    const textarea = document.getElementById("tasks" + i);
-    if (!textarea) return;
-    
-    const lines = textarea.value
-      .split("\n")
-      .map(line => line.replace(/^[•\-*]\s*/, '').trim())
-      .filter(x => x);
+  try {
+    const response = await fetch(settings.endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
     
-    if (lines.length > 0) hasContent = true;
+    if (!response.ok) {
+      throw new Error(`AI provider returned ${response.status}`);
+    }
     
-    lines.forEach(task => {
-      const id = allTasks.length;
+    const text = adapter.parseResponse(await response.json()).trim();
+    if (!text) throw new Error("AI provider returned an empty response");
+    return text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function renderAISettings() {
+  const settings = loadAISettings();
+  render(document.getElementById("aiProvider"), Object.entries(AI_PROVIDERS).map(([key, p]) => html`
+    <option value="${key}" ${key === settings.provider ? "selected" : ""}>${p.label}</option>
+  `));
+  document.getElementById("aiEndpoint").value = settings.endpoint;
+  document.getElementById("aiModel").value = settings.model;
+  document.getElementById("aiApiKey").value = settings.apiKey;
+}
+
+function changeAIProvider() {
+  const adapter = AI_PROVIDERS[document.getElementById("aiProvider").value];
+  document.getElementById("aiEndpoint").value = adapter.endpoint;
+  document.getElementById("aiModel").value = adapter.model;
+}
+
+function saveAISettings() {
+  const settings = {
+    provider: document.getElementById("aiProvider").value,
+    endpoint: document.getElementById("aiEndpoint").value.trim(),
+    model: document.getElementById("aiModel").value.trim(),
+    apiKey: document.getElementById("aiApiKey").value.trim()
+  };
+  
+  if (!/^https?:\/\//.test(settings.endpoint)) {
+    showNotification("Endpoint must be an http(s) URL", "error");
+    return;
+  }
+  if (!settings.model) {
+    showNotification("Please enter a model name", "error");
+    return;
+  }
+  
+  setStoredItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+  showNotification("AI settings saved", "success");
+}
+
+function useMockAIServer() {
+  document.getElementById("aiProvider").value = "openai";
+  document.getElementById("aiEndpoint").value = "http://localhost:8787/v1/chat/completions";
+  document.getElementById("aiModel").value = "mock-planner";
+  document.getElementById("aiApiKey").value = "";
+  saveAISettings();
+}
+
+/* ==================== AI TASK GENERATION ==================== */
+async function generateTasksWithAI(index) {
+  const goal = goals[index];
+  const statusEl = document.getElementById(`aiStatus${index}`);
+  const textarea = document.getElementById(`tasks${index}`);
+  
+  const existingTasks = parseTaskLines(textarea.value);
+
+  render(statusEl, html`
+    <div class="ai-loading">
+      <span class="spinner"></span>
+      <span>Generating smart tasks for "${goal.name}"...</span>
+    </div>
+  `);
+
+  const prompt = `You are a student study planner. Break this weekly goal into 5-7 specific, realistic tasks.
+
+Goal: ${goal.name}
+Student's intention: ${currentUser?.intent || "Not specified"}
+Existing tasks (do not repeat these):
+${existingTasks.map(t => `- ${t}`).join("\n") || "- None"}
+
+Each task should be one concrete study action that fits in a single sitting.
+Respond with JSON only, in this exact shape:
+{"tasks": [{"task": "Study Newton's laws", "duration": 45}]}
+where "duration" is the estimated time in minutes.`;
+
+  let generated;
+  let usedFallback = false;
+  
+  try {
+    generated = parseTaskList(await callAI(prompt, { maxTokens: 1000 }));
+    if (generated.length === 0) throw new Error("No tasks found in AI response");
+  } catch (error) {
+    console.error('AI task generation failed:', error);
+    usedFallback = true;
+    generated = [
+      { task: `Study basics of ${goal.name}`, duration: 45 },
+      { task: `Watch one tutorial and make notes`, duration: null },
+      { task: `Practice 10 related problems`, duration: null },
+      { task: `Revise key concepts`, duration: 30 },
+      { task: `Small project or practical task`, duration: 60 }
+    ];
+  }
+  
+  const known = new Set(existingTasks.map(t => t.toLowerCase()));
+  const newLines = generated
+    .filter(t => !known.has(t.task.toLowerCase()))
+    .map(t => t.duration && !hasDuration(t.task) ? `• ${t.task} (${t.duration} mins)` : `• ${t.task}`);
+  
+  textarea.value = [textarea.value.trim(), ...newLines].filter(x => x).join("\n");
+  taskDrafts[goal.id] = textarea.value;
+
+  render(statusEl, usedFallback ? html`
+    <div class="ai-error">
+      <span>⚠️</span>
+      <span>AI unavailable - added starter tasks instead. Check AI settings.</span>
+    </div>
+  ` : html`
+    <div class="ai-success">
+      <span>✅</span>
+      <span>${newLines.length} task${newLines.length !== 1 ? 's' : ''} generated successfully!</span>
+    </div>
+  `);
+
+  setTimeout(() => render(statusEl, ""), 3000);
+  showNotification(usedFallback ? "AI unavailable, added starter tasks" : "AI generated tasks!", usedFallback ? "info" : "success");
+}
+
+/* ==================== TASK BATCHING ==================== */
+function prepareBatch() {
+  if (activeGoals().length === 0) {
+    showNotification("Please add at least one goal first", "error");
+    return;
+  }
+  
+  if (!buildTasksFromDrafts()) {
+    showNotification("Please add tasks for your goals before continuing", "error");
+    return;
+  }
+  
+  renderBatch();
+  recordChange("update tasks");
+  next();
+}
+
+// Rebuilds allTasks from each goal's task text. Tasks whose text is unchanged keep
+// their id, days, colour, duration and repeat rule; each old task is matched at most once,
+// so two identical lines stay two tasks.
+function buildTasksFromDrafts() {
+  const previousTasks = allTasks.filter(t => !t.deleted);
+  const taken = planIds();
+  const texts = new Map(activeGoals().map(goal => [goal, taskTextForGoal(goal)]));
+  allTasks = [];
+  
+  texts.forEach((text, goal) => {
+    parseTaskLines(text).forEach(task => {
+      const at = previousTasks.findIndex(t => t.goalId === goal.id && t.task === task);
+      const previous = at === -1 ? null : previousTasks.splice(at, 1)[0];
+      const duration = previous?.duration || parseDuration(task);
+      const rule = previous ? {
+        type: previous.type || "weekly",
+        ...(previous.timesPerWeek && { timesPerWeek: previous.timesPerWeek }),
+        ...(previous.dueDate && { dueDate: previous.dueDate }),
+        ...(previous.dependsOn != null && { dependsOn: previous.dependsOn })
+      } : parseTaskRule(task);
+      const milestone = goal.milestones?.find(m => m.id === previous?.milestoneId);
       allTasks.push({
-        id: Date.now() + id,
+        id: previous ? previous.id : newId(taken),
         task,
         goal: goal.name,
         goalId: goal.id,
-        color: goal.color,
+        color: previous?.color || goal.color,
         deleted: false,
-        effort: 3,
-        days: []
+        duration,
+        effort: effortFromDuration(duration),
+        days: [...(previous?.days || [])],
+        minPerWeek: previous?.minPerWeek || 1,
+        maxPerWeek: previous?.maxPerWeek || 1,
+        ...(milestone && { milestoneId: milestone.id }),
+        ...rule
       });
+    });
+  });
+  
+  // An edited or removed line is a new task, so nothing can still wait on the old one
+  const taskIds = new Set([...allTasks, ...goals.flatMap(g => g.archivedTasks || [])].map(t => t.id));
+  allTasks.forEach(t => {
+    if (t.dependsOn != null && !taskIds.has(t.dependsOn)) delete t.dependsOn;
+  });
+  
+  taskDrafts = {};
+  return allTasks.length > 0;
+}
+
+function renderBatch() {
+  const batch = document.getElementById("batchArea");
+  
+  render(batch, allTasks.map((t, id) => t.deleted ? "" : taskCardHTML(t, id)));
+  renderPlanWarnings();
+}
+
+function taskCardHTML(t, id) {
+  const type = t.type || "weekly";
+  const others = allTasks.filter(o => !o.deleted && o.id !== t.id);
+  const milestones = goals.find(g => g.id === t.goalId)?.milestones || [];
+  const milestone = milestones.find(m => m.id === t.milestoneId);
+  
+  return html`
+    <div class="task-batch-box" id="task${id}" data-index="${id}">
+      <div class="task-header">
+        <strong class="task-name">${t.task}</strong>
+        <span class="delete" data-action="delete-task">✕</span>
+      </div>
       
-      batch.innerHTML += `
-        <div class="task-batch-box" id="task${id}">
-          <div class="task-header">
-            <strong class="task-name">${task}</strong>
-            <span class="delete" onclick="deleteTask(${id})">✕</span>
-          </div>
-          
-          <div class="task-meta">
-            <span class="goal-badge" style="background:${goal.color}20;color:${goal.color}">
-              ${goal.name}
-            </span>
-          </div>
-          
-          <div class="color-bar" id="bar${id}" style="background:${goal.color}"></div>
-          
-          <div class="color-picker-row">
-            <label>Task Color:</label>
-            <input type="color" id="color${id}" value="${goal.color}" onchange="updateColor(${id})">
-          </div>
-          
-          <div class="days-selector">
-            <label class="days-label">Select Days:</label>
-            <div class="days-grid">
-              ${["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map(d => `
-                <label class="day-checkbox">
-                  <input type="checkbox" id="${id}${d}" onchange="updateTaskDays(${id})">
-                  <span class="day-label">${d}</span>
-                </label>
-              `).join("")}
-            </div>
+      <div class="task-meta">
+        <span class="goal-badge" style="background:${t.color}20;color:${t.color}">
+          ${t.goal}${milestone ? html` · 🏁 ${milestone.name}` : ""}
+        </span>
+      </div>
+      
+      <div class="color-bar" id="bar${id}" style="background:${t.color}"></div>
+      
+      <div class="color-picker-row">
+        <label>Task Color:</label>
+        <input type="color" id="color${id}" value="${t.color}" data-field="color">
+      </div>
+      
+      <div class="color-picker-row">
+        <label>Duration:</label>
+        <input type="number" id="duration${id}" value="${t.duration}" min="5" max="480" step="5" class="duration-input" data-field="duration">
+        <span class="duration-unit">mins</span>
+      </div>
+      
+      <div class="color-picker-row">
+        <label for="type${id}">Repeats:</label>
+        <select id="type${id}" class="rule-select" data-field="type">
+          ${Object.entries(TASK_TYPES).map(([value, label]) => html`
+            <option value="${value}" ${type === value ? "selected" : ""}>${label}</option>
+          `)}
+        </select>
+      </div>
+      
+      ${type === "weekly" ? html`
+        <div class="color-picker-row">
+          <label>Times per week:</label>
+          <input type="number" id="minPerWeek${id}" value="${t.minPerWeek || 1}" min="1" max="7" class="duration-input" data-field="frequency" aria-label="Minimum times per week">
+          <span class="duration-unit">to</span>
+          <input type="number" id="maxPerWeek${id}" value="${t.maxPerWeek || 1}" min="1" max="7" class="duration-input" data-field="frequency" aria-label="Maximum times per week">
+        </div>
+        
+        <div class="days-selector">
+          <label class="days-label">Select Days:</label>
+          <div class="days-grid">
+            ${weekDays().map(d => html`
+              <label class="day-checkbox">
+                <input type="checkbox" id="${id}${d}" data-field="days" ${t.days.includes(d) ? "checked" : ""}>
+                <span class="day-label">${d}</span>
+              </label>
+            `)}
           </div>
         </div>
-      `;
-    });
-  });
+      ` : ""}
+      
+      ${type === "weekdays" ? html`<p class="rule-hint">Scheduled every Monday to Friday.</p>` : ""}
+      
+      ${type === "times" ? html`
+        <div class="color-picker-row">
+          <label for="timesPerWeek${id}">Sessions per week:</label>
+          <input type="number" id="timesPerWeek${id}" value="${t.timesPerWeek || 1}" min="1" max="7" class="duration-input" data-field="rule">
+        </div>
+        <p class="rule-hint">Days float: each week they go to your least busy days.</p>
+      ` : ""}
+      
+      ${type === "once" ? html`
+        <div class="color-picker-row">
+          <label for="dueDate${id}">Due date:</label>
+          <input type="date" id="dueDate${id}" value="${t.dueDate || ""}" data-field="rule">
+        </div>
+        <p class="rule-hint">Scheduled once, on a free day in its due week, until it's ticked off.</p>
+      ` : ""}
+      
+      <div class="color-picker-row">
+        <label for="dependsOn${id}">Starts after:</label>
+        <select id="dependsOn${id}" class="rule-select" data-field="dependsOn">
+          <option value="">Nothing, it can start any time</option>
+          ${others.map(o => html`
+            <option value="${o.id}" ${String(t.dependsOn) === String(o.id) ? "selected" : ""}>${o.task} (${o.goal})</option>
+          `)}
+        </select>
+      </div>
+      
+      ${milestones.length ? html`
+        <div class="color-picker-row">
+          <label for="milestone${id}">Milestone:</label>
+          <select id="milestone${id}" class="rule-select" data-field="milestone">
+            <option value="">The goal as a whole</option>
+            ${milestones.map(m => html`
+              <option value="${m.id}" ${milestone === m ? "selected" : ""}>${m.name}${m.targetDate ? html` · by ${formatShortDate(fromISODate(m.targetDate))}` : ""}</option>
+            `)}
+          </select>
+        </div>
+      ` : ""}
+    </div>
+  `;
+}
+
+function updateTaskMilestone(id) {
+  const task = allTasks[id];
+  if (!task) return;
+  const value = document.getElementById("milestone" + id).value;
+  const milestone = goals.find(g => g.id === task.goalId)?.milestones?.find(m => String(m.id) === value);
   
-  if (!hasContent) {
-    showNotification("Please add tasks for your goals before continuing", "error");
-    return;
+  if (milestone) {
+    task.milestoneId = milestone.id;
+  } else {
+    delete task.milestoneId;
   }
-  
-  next();
+  renderBatch();
 }
 
 function updateColor(id) {
@@ -380,330 +1347,3168 @@ function updateColor(id) {
   }
 }
 
+function updateDuration(id) {
+  const duration = parseInt(document.getElementById("duration" + id).value, 10);
+  if (allTasks[id] && duration > 0) {
+    allTasks[id].duration = duration;
+    allTasks[id].effort = effortFromDuration(duration);
+  }
+}
+
+function updateFrequency(id) {
+  const task = allTasks[id];
+  if (!task) return;
+  const clamp = v => Math.min(7, Math.max(1, parseInt(v, 10) || 1));
+  task.minPerWeek = clamp(document.getElementById("minPerWeek" + id).value);
+  task.maxPerWeek = Math.max(task.minPerWeek, clamp(document.getElementById("maxPerWeek" + id).value));
+  document.getElementById("maxPerWeek" + id).value = task.maxPerWeek;
+}
+
+function updateTaskType(id) {
+  const task = allTasks[id];
+  if (!task) return;
+  task.type = document.getElementById("type" + id).value;
+  if (task.type === "times") task.timesPerWeek = task.timesPerWeek || 2;
+  if (task.type === "once") task.dueDate = task.dueDate || toISODate(addDays(fromISODate(viewedWeek), 6));
+  renderBatch();
+  document.getElementById("type" + id)?.focus();
+}
+
+function updateTaskRule(id) {
+  const task = allTasks[id];
+  if (!task) return;
+  const times = document.getElementById("timesPerWeek" + id);
+  const due = document.getElementById("dueDate" + id);
+  if (times) task.timesPerWeek = Math.min(7, Math.max(1, parseInt(times.value, 10) || 1));
+  if (due && due.value) task.dueDate = due.value;
+}
+
+function updateDependency(id) {
+  const task = allTasks[id];
+  if (!task) return;
+  const select = document.getElementById("dependsOn" + id);
+  const prereq = allTasks.find(o => String(o.id) === select.value);
+  
+  if (prereq && dependsOnChain(prereq, task.id)) {
+    showNotification(`"${prereq.task}" already waits for "${task.task}"`, "error");
+    select.value = task.dependsOn ?? "";
+    return;
+  }
+  
+  if (prereq) {
+    task.dependsOn = prereq.id;
+  } else {
+    delete task.dependsOn;
+  }
+}
+
+// True if following task's prerequisites eventually reaches targetId
+function dependsOnChain(task, targetId) {
+  const seen = new Set();
+  for (let t = task; t && !seen.has(t.id); t = allTasks.find(o => o.id === t.dependsOn)) {
+    if (t.id === targetId) return true;
+    seen.add(t.id);
+  }
+  return false;
+}
+
 function updateTaskDays(id) {
-  const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
   if (allTasks[id]) {
-    allTasks[id].days = days.filter(d => {
+    allTasks[id].days = WEEK_DAYS.filter(d => {
       const checkbox = document.getElementById(id + d);
       return checkbox && checkbox.checked;
     });
   }
 }
 
-function deleteTask(id) {
-  if (confirm("Delete this task?")) {
-    allTasks[id].deleted = true;
-    const taskEl = document.getElementById("task" + id);
-    if (taskEl) taskEl.remove();
-    showNotification("Task deleted", "info");
+// ←/→ walk a task's day checkboxes; ↑/↓ jump to the same day on the task above or below
+function handleBatchDaysKey(e) {
+  if (e.target.dataset.field !== "days" || e.altKey || e.ctrlKey || e.metaKey) return;
+  const grid = e.target.closest(".days-grid");
+  const boxes = [...grid.querySelectorAll('input[data-field="days"]')];
+  const i = boxes.indexOf(e.target);
+  let target;
+  
+  if (e.key === "ArrowLeft") target = boxes[i - 1];
+  else if (e.key === "ArrowRight") target = boxes[i + 1];
+  else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+    const grids = [...document.querySelectorAll("#batchArea .days-grid")];
+    const other = grids[grids.indexOf(grid) + (e.key === "ArrowUp" ? -1 : 1)];
+    target = other?.querySelectorAll('input[data-field="days"]')[i];
+  } else return;
+  
+  e.preventDefault();
+  if (target) target.focus();
+}
+
+function deleteTask(id) {
+  allTasks[id].deleted = true;
+  const taskEl = document.getElementById("task" + id);
+  if (taskEl) taskEl.remove();
+  renderGoals();
+  saveProgress(`delete "${allTasks[id].task}"`);
+  showNotification("Task deleted", "info", UNDO_ACTION);
+}
+
+/* ==================== WORKLOAD BALANCING ==================== */
+let pendingDistribution = null;
+
+function autoDistribute() {
+  const unscheduled = allTasks.filter(t => !t.deleted && isUnscheduledWeekly(t));
+  if (unscheduled.length === 0) {
+    showNotification("Every task already has days. Untick a task's days to let auto-distribute place it.", "info");
+    return;
+  }
+  
+  readAvailability();
+  const proposal = proposeDistribution(allTasks, {
+    mood: document.getElementById("mood").value,
+    mainDay: document.getElementById("mainDay").value.slice(0, 3),
+    open: WEEK_DAYS.filter(d => availability[d].length > 0),
+    days: weekDays()
+  });
+  
+  pendingDistribution = proposal;
+  renderDistributionDiff(proposal);
+  document.getElementById("distributeDialog").classList.add("open");
+}
+
+function renderDistributionDiff({ assignments, unplaced, before, after, cap }) {
+  const maxLoad = Math.max(cap, ...Object.values(after));
+  const mood = document.getElementById("mood").value;
+  
+  render(document.getElementById("distributeBody"), html`
+    <p class="slide-description">Mood: <strong>${mood}</strong> · daily limit ${cap} effort points · main day gets the heaviest work</p>
+    <ul class="distribute-list">
+      ${assignments.map(a => {
+        const t = allTasks[a.index];
+        return html`
+          <li>
+            <span class="distribute-task" style="box-shadow:inset 4px 0 0 ${t.color}">${t.task}</span>
+            <span class="distribute-days">
+              ${a.days.length ? a.days.map(d => html`<span class="diff-added">+ ${d}</span>`) : html`<span class="diff-none">not placed</span>`}
+            </span>
+          </li>
+        `;
+      })}
+    </ul>
+    ${unplaced.length ? html`
+      <p class="distribute-warning">⚠️ ${unplaced.length} task${unplaced.length !== 1 ? 's' : ''} couldn't reach ${unplaced.length !== 1 ? 'their' : 'its'} minimum without overloading a day.</p>
+    ` : ""}
+    <h4>Daily load (effort points)</h4>
+    <div class="load-diff">
+      ${weekDays().map(d => html`
+        <div class="load-row">
+          <span class="day-label">${d}</span>
+          <div class="load-track">
+            <div class="load-before" style="width:${(before[d] / maxLoad) * 100}%"></div>
+            <div class="load-added" style="width:${((after[d] - before[d]) / maxLoad) * 100}%"></div>
+          </div>
+          <span class="load-value">${before[d]} → ${after[d]}</span>
+        </div>
+      `)}
+    </div>
+  `);
+}
+
+function closeDistribution() {
+  pendingDistribution = null;
+  document.getElementById("distributeDialog").classList.remove("open");
+}
+
+function acceptDistribution() {
+  if (!pendingDistribution) return;
+  
+  let placed = 0;
+  pendingDistribution.assignments.forEach(a => {
+    if (a.days.length) {
+      allTasks[a.index].days = a.days;
+      placed++;
+    }
+  });
+  
+  closeDistribution();
+  renderBatch();
+  saveProgress("auto-distribute");
+  showNotification(`Scheduled ${placed} task${placed !== 1 ? 's' : ''} across the week`, "success", UNDO_ACTION);
+}
+
+/* ==================== PLAN CHECKS ==================== */
+// Shown live under the task batches, and in a dialog if anything is left when generating
+let planCheck = [];
+
+function currentWarnings() {
+  return planWarnings(allTasks, {
+    goals: activeGoals(),
+    mood: document.getElementById("mood").value,
+    mainDay: document.getElementById("mainDay").value.slice(0, 3),
+    focusTask: document.getElementById("focusTask").value,
+    open: WEEK_DAYS.filter(d => availability[d].length > 0),
+    days: weekDays()
+  });
+}
+
+function warningsHTML(warnings) {
+  if (warnings.length === 0) return html`<p class="plan-check-clear">✅ Every goal has time and no day is overloaded</p>`;
+  return html`
+    <ul class="plan-warnings-list">
+      ${warnings.map((w, i) => html`
+        <li class="plan-warning plan-warning-${w.kind}">
+          <span class="plan-warning-text">⚠️ ${w.message}</span>
+          ${w.fix ? html`<button class="secondary btn-small" data-fix="${i}">${w.fix.label}</button>` : ""}
+        </li>
+      `)}
+    </ul>
+  `;
+}
+
+function renderPlanWarnings() {
+  planCheck = currentWarnings();
+  render(document.getElementById("planWarnings"), planCheck.length ? warningsHTML(planCheck) : "");
+  
+  const dialog = document.getElementById("planCheckDialog");
+  if (dialog.classList.contains("open")) {
+    render(document.getElementById("planCheckBody"), warningsHTML(planCheck));
+    document.getElementById("planCheckGenerateBtn").textContent = planCheck.length ? "Generate Anyway" : "Generate My Plan";
+  }
+}
+
+function applyWarningFix(i) {
+  const fix = planCheck[i]?.fix;
+  if (!fix) return;
+  
+  fix.assignments.forEach(a => {
+    allTasks[a.index].days = a.days;
+  });
+  if (fix.focusTask !== undefined) document.getElementById("focusTask").value = fix.focusTask;
+  
+  renderBatch();
+  saveProgress(`fix "${fix.label}"`);
+  renderPlanWarnings();
+}
+
+function openPlanCheck() {
+  document.getElementById("planCheckDialog").classList.add("open");
+  renderPlanWarnings();
+}
+
+function closePlanCheck() {
+  document.getElementById("planCheckDialog").classList.remove("open");
+}
+
+/* ==================== SCHEDULING ENGINE ==================== */
+function renderAvailability() {
+  const area = document.getElementById("availabilityArea");
+  render(area, weekDays().map(d => {
+    const win = availability[d][0];
+    return html`
+      <div class="availability-row">
+        <label class="day-checkbox">
+          <input type="checkbox" id="avail${d}" ${win ? "checked" : ""}>
+          <span class="day-label">${d}</span>
+        </label>
+        <input type="time" id="availStart${d}" value="${win ? win.start : "16:00"}" step="900">
+        <span class="availability-sep">to</span>
+        <input type="time" id="availEnd${d}" value="${win ? win.end : "21:00"}" step="900">
+      </div>
+    `;
+  }));
+}
+
+function readAvailability() {
+  WEEK_DAYS.forEach(d => {
+    const enabled = document.getElementById("avail" + d)?.checked;
+    const start = document.getElementById("availStart" + d)?.value;
+    const end = document.getElementById("availEnd" + d)?.value;
+    availability[d] = enabled && start && end && end > start ? [{ start, end }] : [];
+  });
+}
+
+function getBreakMinutes() {
+  const value = parseInt(document.getElementById("breakMinutes").value, 10);
+  return isNaN(value) || value < 0 ? 0 : value;
+}
+
+/* ==================== GENERATE TIMETABLE ==================== */
+// Anything the plan checks find is offered for fixing before the week is built
+async function generate() {
+  if (currentWarnings().length > 0) {
+    openPlanCheck();
+    return;
+  }
+  await generateWeek();
+}
+
+async function generateWeek() {
+  closePlanCheck();
+  await buildWeekPlan(viewedWeek);
+  next();
+}
+
+// Builds the timetable for one dated week from the task batches
+async function buildWeekPlan(weekOf) {
+  const days = weekDays();
+  
+  readAvailability();
+  allTasks.forEach(t => {
+    t.duration = t.duration || parseDuration(t.task);
+    t.effort = t.effort || effortFromDuration(t.duration);
+  });
+  
+  const focusTaskName = document.getElementById("focusTask").value.trim().toLowerCase();
+  const breakMinutes = getBreakMinutes();
+  const { table, overflow, skipped } = buildWeekTable(weekOf, plannerState(), { focusTask: focusTaskName, breakMinutes });
+  
+  const reward = document.getElementById("reward").value || "Not specified";
+  const punishment = document.getElementById("punishment").value || "Not specified";
+  
+  const plan = {
+    weekOf,
+    table, overflow, reward, punishment, focusTask: focusTaskName, breakMinutes, skipped,
+    rules: liveRules(),
+    mood: document.getElementById("mood").value,
+    aiSuggestions: null
+  };
+  weekPlans[weekOf] = plan;
+  viewedWeek = weekOf;
+  weeklyPlan = plan;
+  renderPlan();
+  
+  // Generate AI suggestions
+  plan.aiSuggestions = await generateAISuggestions(table, days);
+  
+  renderHistory();
+  saveProgress("build the week");
+}
+
+// Draws the timetable slide entirely from weeklyPlan, so a restored plan looks as it was saved
+function renderPlan() {
+  const legend = document.getElementById("legend");
+  renderWeekNav();
+  renderReminderSettings();
+  renderDeadlines();
+  renderMonthOverview();
+  
+  if (!weeklyPlan) {
+    const grid = document.getElementById("table");
+    const canCopy = Boolean(latestPlanBefore(viewedWeek));
+    const canBuild = allTasks.some(t => !t.deleted && (fixedDays(t).length > 0 || t.type === "times" || t.type === "once"));
+    document.getElementById("rewardDisplay").textContent = "-";
+    document.getElementById("punishmentDisplay").textContent = "-";
+    renderRuleStatus();
+    grid.className = "timetable";
+    grid.style.gridTemplateRows = "";
+    render(grid, html`
+      <div class="empty-week">
+        <p>📭 Nothing planned for this week yet.</p>
+        <div class="empty-week-actions">
+          ${canCopy ? html`<button class="secondary btn-small" data-action="copy-week">📋 Copy Previous Week</button>` : ""}
+          ${canBuild ? html`<button class="primary btn-small" data-action="build-week">⚙️ Build From My Tasks</button>` : ""}
+        </div>
+      </div>
+    `);
+    render(document.getElementById("overflow"), "");
+    render(legend, "");
+    render(document.getElementById("aiSuggestion"), html`
+      <div class="empty-state"><p>📊 Generate your plan to see insights here.</p></div>
+    `);
+    return;
+  }
+  
+  document.getElementById("rewardDisplay").textContent = weeklyPlan.reward;
+  document.getElementById("punishmentDisplay").textContent = weeklyPlan.punishment;
+  renderRuleStatus();
+  
+  renderTimetable(weeklyPlan.table, weeklyPlan.overflow, weeklyPlan.focusTask, weeklyPlan.weekOf);
+  const skipped = weeklyPlan.skipped || [];
+  if (skipped.length) {
+    renderAppend(document.getElementById("overflow"), html`
+      <div class="skipped-note">
+        <strong>⏸️ Not scheduled this week:</strong>
+        <ul>${skipped.map(s => html`<li>${s.day ? s.day + ": " : ""}${s.task}: ${s.reason}</li>`)}</ul>
+      </div>
+    `);
+  }
+  
+  const legendMap = {};
+  WEEK_DAYS.forEach(d => [...weeklyPlan.table[d], ...weeklyPlan.overflow[d]].forEach(t => {
+    if (!legendMap[t.goal]) legendMap[t.goal] = t.color;
+  }));
+  render(legend, Object.entries(legendMap).map(([goal, color]) => html`
+    <div class="legend-item">
+      <span class="legend-color" style="background:${color}"></span>
+      <span class="legend-text">${goal}</span>
+    </div>
+  `));
+  
+  renderSuggestions(weeklyPlan.table, weeklyPlan.aiSuggestions);
+}
+
+// The shared view draws someone else's week with this too: their days and availability,
+// none of this profile's deadlines or commitments, and nothing that edits the plan.
+function renderTimetable(table, overflow, focusTaskName, weekOf, {
+  grid = document.getElementById("table"),
+  overflowEl = document.getElementById("overflow"),
+  days = weekDays(),
+  windows = availability,
+  readOnly = false
+} = {}) {
+  const today = toISODate(new Date());
+  
+  // Visible range: whole hours covering every availability window and slot
+  const bounds = days.flatMap(d => [
+    ...windows[d].map(w => [toMinutes(w.start), toMinutes(w.end)]),
+    ...table[d].map(t => [t.start, t.end])
+  ]);
+  const dayStart = bounds.length ? Math.floor(Math.min(...bounds.map(b => b[0])) / 60) * 60 : 9 * 60;
+  const dayEnd = bounds.length ? Math.ceil(Math.max(...bounds.map(b => b[1])) / 60) * 60 : 17 * 60;
+  const rows = (dayEnd - dayStart) / SLOT_MINUTES;
+  const rowOf = minutes => Math.floor((minutes - dayStart) / SLOT_MINUTES) + 2;
+  const spanOf = (start, end) => Math.max(1, Math.ceil((end - start) / SLOT_MINUTES));
+  
+  grid.className = "timetable hourly";
+  grid.style.gridTemplateRows = `auto repeat(${rows}, var(--slot-height))`;
+  
+  const cells = [html`<div class="time-corner"></div>`];
+  
+  days.forEach((d, c) => {
+    const taskCount = table[d].length;
+    const date = dateOfDay(weekOf, d);
+    const due = readOnly ? [] : deadlineMarkers().filter(m => m.date === toISODate(date));
+    cells.push(html`
+      <div class="day-header ${toISODate(date) === today ? 'today' : ''}" style="grid-column:${c + 2};grid-row:1">
+        <h4>${d}</h4>
+        <span class="day-date">${formatShortDate(date)}</span>
+        <span class="task-count">${taskCount} task${taskCount !== 1 ? 's' : ''}</span>
+        ${due.map(m => html`<span class="deadline-marker" style="border-color:${m.color}">${m.icon} ${m.name}</span>`)}
+      </div>
+    `);
+  });
+  
+  for (let m = dayStart; m < dayEnd; m += 60) {
+    cells.push(html`
+      <div class="time-label" style="grid-column:1;grid-row:${rowOf(m)} / span ${60 / SLOT_MINUTES}">${formatTime(m)}</div>
+      <div class="hour-line" style="grid-column:2 / -1;grid-row:${rowOf(m)}"></div>
+    `);
+  }
+  
+  days.forEach((d, c) => {
+    if (!readOnly) cells.push(html`<div class="day-drop-zone" data-day="${d}" style="grid-column:${c + 2};grid-row:2 / span ${rows}"></div>`);
+    
+    windows[d].forEach(w => {
+      const start = toMinutes(w.start);
+      cells.push(html`<div class="availability-block" data-day="${d}" style="grid-column:${c + 2};grid-row:${rowOf(start)} / span ${spanOf(start, toMinutes(w.end))}"></div>`);
+    });
+    
+    // Commitments are clipped to the visible hours rather than stretching the grid
+    (readOnly ? [] : commitmentsForDay(d, weekOf)).forEach(b => {
+      const start = Math.max(toMinutes(b.start), dayStart);
+      const end = Math.min(toMinutes(b.end), dayEnd);
+      if (end <= start) return;
+      cells.push(html`
+        <div class="commitment-block" data-day="${d}" style="grid-column:${c + 2};grid-row:${rowOf(start)} / span ${spanOf(start, end)}"
+             title="${b.start}–${b.end} · ${b.title}">
+          📌 ${b.title}
+        </div>
+      `);
+    });
+    
+    if (table[d].length === 0) {
+      cells.push(html`<div class="empty-day" data-day="${d}" style="grid-column:${c + 2};grid-row:2 / span ${Math.min(rows, 8)}">✨ Free day</div>`);
+    }
+    
+    table[d].forEach(t => {
+      const isFocus = focusTaskName && t.task.toLowerCase().includes(focusTaskName);
+      cells.push(html`
+        <div class="task ${isFocus ? 'focus-task' : ''} ${t.completed ? 'completed' : ''}"
+             data-task-id="${t.id}" data-day="${d}" ${readOnly ? "" : html`draggable="true" tabindex="-1"`}
+             aria-label="${t.task}, ${d} ${formatTime(t.start)} to ${formatTime(t.end)}${t.completed ? ', done' : ''}"
+             style="grid-column:${c + 2};grid-row:${rowOf(t.start)} / span ${spanOf(t.start, t.end)};background:${t.color}33;box-shadow:inset 6px 0 0 ${t.color};padding-left:14px;"
+             title="${formatTime(t.start)}–${formatTime(t.end)} · ${t.task}">
+          ${readOnly
+            ? (t.completed ? html`<span class="task-done" aria-hidden="true">✅</span>` : "")
+            : html`<input type="checkbox" class="task-checkbox" tabindex="-1" ${t.completed ? 'checked' : ''}>`}
+          <span class="task-time">${formatTime(t.start)}–${formatTime(t.end)}</span>
+          ${readOnly ? "" : html`<button class="task-focus-btn" data-action="start-focus" tabindex="-1" title="Start a focus session (F)" aria-label="Start a focus session for ${t.task}">▶</button>`}
+          <span class="task-text">${isFocus ? '⭐ ' : ''}${t.task}</span>
+          ${t.actualMinutes ? html`<span class="task-actual" title="Focused ${t.actualMinutes} of ${t.duration} planned mins">⏱️ ${t.actualMinutes}/${t.duration}m</span>` : ""}
+        </div>
+      `);
+    });
+  });
+  
+  render(grid, cells);
+  if (!readOnly) setTimetableStop(grid);
+  
+  // Tasks that didn't fit any window still need to be visible
+  const unplaced = days.flatMap(d => overflow[d].map(t => ({ ...t, day: d })));
+  render(overflowEl, unplaced.length === 0 ? "" : html`
+    <strong>⚠️ ${unplaced.length} task${unplaced.length !== 1 ? 's' : ''} didn't fit your availability:</strong>
+    <ul>
+      ${unplaced.map(t => html`<li>${t.day}: ${t.task} (${t.duration} mins)</li>`)}
+    </ul>
+    ${readOnly ? "" : html`<small>Extend that day's window, shorten the break, or move the task to another day.</small>`}
+  `);
+}
+
+function toggleTaskComplete(taskEl, fromCheckbox = false) {
+  const checkbox = taskEl.querySelector('.task-checkbox');
+  if (checkbox && !fromCheckbox) checkbox.checked = !checkbox.checked;
+  const done = checkbox ? checkbox.checked : !taskEl.classList.contains('completed');
+  taskEl.classList.toggle('completed', done);
+  
+  setTaskCompleted(Number(taskEl.dataset.taskId), taskEl.dataset.day, done);
+}
+
+/* ==================== TIMETABLE EDITING ==================== */
+// A day's tasks in their current order, including any that didn't fit
+function dayOrder(day) {
+  return [...weeklyPlan.table[day], ...weeklyPlan.overflow[day]];
+}
+
+function retimeDay(day, ordered, plan = weeklyPlan) {
+  const busy = commitmentsForDay(day, plan.weekOf);
+  const result = placeInOrder(ordered, freeWindows(availability[day], busy), plan.breakMinutes ?? getBreakMinutes());
+  plan.table[day] = result.slots;
+  plan.overflow[day] = result.overflow;
+}
+
+// Moves one occurrence of a task to another day (or position), inserting it
+// before beforeTaskId or at the end of the day when that is null.
+function moveTask(taskId, fromDay, toDay, beforeTaskId = null) {
+  if (!weeklyPlan || taskId === beforeTaskId) return false;
+  
+  const entry = dayOrder(fromDay).find(t => t.id === taskId);
+  if (!entry) return false;
+  
+  if (fromDay !== toDay && dayOrder(toDay).some(t => t.id === taskId)) {
+    showNotification(`"${entry.task}" is already on ${toDay}`, "error");
+    return false;
+  }
+  
+  const source = dayOrder(fromDay).filter(t => t.id !== taskId);
+  const target = fromDay === toDay ? source : dayOrder(toDay);
+  const at = target.findIndex(t => t.id === beforeTaskId);
+  target.splice(at === -1 ? target.length : at, 0, entry);
+  
+  if (fromDay !== toDay) retimeDay(fromDay, source);
+  retimeDay(toDay, target);
+  
+  // A running focus session follows its task, so its minutes are still logged on it
+  if (focusSession?.weekOf === weeklyPlan.weekOf && focusSession.taskId === taskId && focusSession.day === fromDay) {
+    focusSession.day = toDay;
+  }
+  
+  const task = allTasks.find(t => t.id === taskId);
+  if (task && fromDay !== toDay && (task.type || "weekly") === "weekly") {
+    task.days = WEEK_DAYS.filter(d => d === toDay || (d !== fromDay && task.days.includes(d)));
+  }
+  
+  renderPlan();
+  renderBatch();
+  renderHistory();
+  saveProgress(`move "${entry.task}"`);
+  
+  const moved = document.querySelector(`#table .task[data-task-id="${taskId}"][data-day="${toDay}"]`);
+  if (moved) focusTimetableTask(moved);
+  
+  const placed = weeklyPlan.table[toDay].find(t => t.id === taskId);
+  document.getElementById("timetableStatus").textContent = placed
+    ? `Moved ${entry.task} to ${toDay} at ${formatTime(placed.start)}`
+    : `Moved ${entry.task} to ${toDay}, but it doesn't fit that day's availability`;
+  return true;
+}
+
+// Only one session sits in the Tab order; it stays on the last one focused across re-renders
+let timetableStop = null;
+
+function setTimetableStop(grid) {
+  const tasks = [...grid.querySelectorAll(".task")];
+  const stop = tasks.find(el => timetableStop && Number(el.dataset.taskId) === timetableStop.taskId && el.dataset.day === timetableStop.day) || tasks[0];
+  if (stop) stop.tabIndex = 0;
+}
+
+function focusTimetableTask(taskEl) {
+  document.querySelectorAll('#table .task[tabindex="0"]').forEach(el => { el.tabIndex = -1; });
+  taskEl.tabIndex = 0;
+  timetableStop = { taskId: Number(taskEl.dataset.taskId), day: taskEl.dataset.day };
+  taskEl.focus();
+}
+
+// ↑/↓ and Home/End stay within a day; ←/→ go to the same position on the nearest day that has sessions
+function timetableNeighbour(taskEl, key) {
+  const days = weekDays();
+  const inDay = d => [...document.querySelectorAll(`#table .task[data-day="${d}"]`)];
+  const own = inDay(taskEl.dataset.day);
+  const i = own.indexOf(taskEl);
+  
+  if (key === "ArrowUp") return own[i - 1];
+  if (key === "ArrowDown") return own[i + 1];
+  if (key === "Home") return own[0];
+  if (key === "End") return own[own.length - 1];
+  
+  const step = key === "ArrowLeft" ? -1 : 1;
+  for (let c = days.indexOf(taskEl.dataset.day) + step; c >= 0 && c < days.length; c += step) {
+    const other = inDay(days[c]);
+    if (other.length) return other[Math.min(i, other.length - 1)];
+  }
+  return null;
+}
+
+// Keyboard alternative: arrows move between sessions, Alt+←/→ changes day, Alt+↑/↓ reorders,
+// Enter/Space ticks and F starts a focus session
+function handleTimetableKey(e) {
+  const taskEl = e.target.closest(".task");
+  if (!taskEl || e.target !== taskEl) return;
+  
+  const taskId = Number(taskEl.dataset.taskId);
+  const day = taskEl.dataset.day;
+  
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    toggleTaskComplete(taskEl);
+    return;
+  }
+  
+  if (e.ctrlKey || e.metaKey) return;
+  
+  if (!e.altKey) {
+    if (e.key === "f" || e.key === "F") {
+      e.preventDefault();
+      startFocusSession(taskId, day);
+    } else if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End"].includes(e.key)) {
+      e.preventDefault();
+      const target = timetableNeighbour(taskEl, e.key);
+      if (target) focusTimetableTask(target);
+    }
+    return;
+  }
+  
+  const days = weekDays();
+  const dayIndex = days.indexOf(day);
+  const order = dayOrder(day).map(t => t.id);
+  const i = order.indexOf(taskId);
+  
+  if (e.key === "ArrowLeft" && dayIndex > 0) {
+    e.preventDefault();
+    moveTask(taskId, day, days[dayIndex - 1]);
+  } else if (e.key === "ArrowRight" && dayIndex < days.length - 1) {
+    e.preventDefault();
+    moveTask(taskId, day, days[dayIndex + 1]);
+  } else if (e.key === "ArrowUp" && i > 0) {
+    e.preventDefault();
+    moveTask(taskId, day, day, order[i - 1]);
+  } else if (e.key === "ArrowDown" && i < order.length - 1) {
+    e.preventDefault();
+    moveTask(taskId, day, day, order[i + 2] ?? null);
+  }
+}
+
+function clearDropHighlight() {
+  document.querySelectorAll("#table .drag-over").forEach(el => el.classList.remove("drag-over"));
+}
+
+function handleTimetableDragStart(e) {
+  const taskEl = e.target.closest(".task");
+  if (!taskEl) return;
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", `${taskEl.dataset.taskId}|${taskEl.dataset.day}`);
+  taskEl.classList.add("dragging");
+}
+
+function handleTimetableDragOver(e) {
+  const target = e.target.closest("[data-day]");
+  if (!target) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  
+  clearDropHighlight();
+  const highlight = target.classList.contains("task")
+    ? target
+    : document.querySelector(`#table .day-drop-zone[data-day="${target.dataset.day}"]`);
+  highlight.classList.add("drag-over");
+}
+
+function handleTimetableDrop(e) {
+  const target = e.target.closest("[data-day]");
+  clearDropHighlight();
+  if (!target) return;
+  e.preventDefault();
+  
+  const [taskId, fromDay] = e.dataTransfer.getData("text/plain").split("|");
+  const beforeTaskId = target.classList.contains("task") ? Number(target.dataset.taskId) : null;
+  moveTask(Number(taskId), fromDay, target.dataset.day, beforeTaskId);
+}
+
+function handleTimetableDragEnd() {
+  clearDropHighlight();
+  document.querySelectorAll("#table .dragging").forEach(el => el.classList.remove("dragging"));
+}
+
+/* ==================== DATED WEEKS ==================== */
+// Past weeks keep their full plan this long; after that only the history summary remains
+const MAX_STORED_WEEKS = 26;
+
+function startOfWeek(date) {
+  return PlannerCore.startOfWeek(date, weekStartDay);
+}
+
+// Day keys in display order, starting from the configured first day of the week
+function weekDays() {
+  return PlannerCore.weekDays(weekStartDay);
+}
+
+function currentWeekOf() {
+  return toISODate(startOfWeek(new Date()));
+}
+
+function formatShortDate(date) {
+  return date.toLocaleDateString(undefined, { day: "numeric", month: "short" });
+}
+
+function daysUntil(iso) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((fromISODate(iso) - today) / DAY_MS);
+}
+
+function deadlineText(deadline) {
+  const left = daysUntil(deadline);
+  const when = formatShortDate(fromISODate(deadline));
+  if (left < 0) return `Deadline passed (${when})`;
+  if (left === 0) return `Due today`;
+  return `${left} day${left !== 1 ? 's' : ''} left · ${when}`;
+}
+
+function latestPlanBefore(weekOf) {
+  const earlier = Object.keys(weekPlans).filter(w => w < weekOf).sort();
+  return earlier.length ? weekPlans[earlier[earlier.length - 1]] : null;
+}
+
+function showWeek(weekOf) {
+  viewedWeek = weekOf;
+  weeklyPlan = weekPlans[weekOf] || null;
+  renderPlan();
+  document.getElementById("historyWeek").value = weekOf;
+  renderHistory();
+}
+
+function shiftWeek(weeks) {
+  showWeek(toISODate(addDays(fromISODate(viewedWeek), weeks * 7)));
+}
+
+// Carries a week's arrangement into another week: same days and order, fresh
+// checkmarks, and times redone around that week's commitments and deadlines
+function copyWeekPlan(source, weekOf) {
+  const copy = {
+    ...JSON.parse(JSON.stringify(source)),
+    weekOf, skipped: [], aiSuggestions: null, mood: document.getElementById("mood").value,
+    rules: liveRules()
+  };
+  
+  WEEK_DAYS.forEach(d => {
+    const date = toISODate(dateOfDay(weekOf, d));
+    // One-offs belong to their due week, so they don't carry over
+    const ordered = [...copy.table[d], ...copy.overflow[d]]
+      .filter(t => t.type !== "once" && allTasks.some(task => task.id === t.id && !task.deleted))
+      .map(t => ({ ...t, deadline: taskDeadline(t), completed: false, actualMinutes: 0 }))
+      .filter(t => {
+        if (t.deadline && date > t.deadline) {
+          copy.skipped.push({ task: t.task, day: d, reason: `after its ${t.milestoneId ? "milestone" : "goal"}'s deadline` });
+          return false;
+        }
+        return true;
+      });
+    retimeDay(d, ordered, copy);
+  });
+  
+  weekPlans[weekOf] = copy;
+  return copy;
+}
+
+function copyPreviousWeek() {
+  const source = latestPlanBefore(viewedWeek);
+  if (!source) {
+    showNotification("There's no earlier week to copy", "error");
+    return;
+  }
+  if (weeklyPlan && !confirm(`Replace this week's plan with a copy of the week of ${source.weekOf}?`)) return;
+  
+  weeklyPlan = copyWeekPlan(source, viewedWeek);
+  renderPlan();
+  renderHistory();
+  saveProgress("copy the previous week");
+  showNotification(`Copied the week of ${source.weekOf} forward`, "success", UNDO_ACTION);
+}
+
+function planNextWeek() {
+  if (!weeklyPlan) {
+    showNotification("Generate a plan first", "error");
+    return;
+  }
+  
+  const nextWeek = toISODate(addDays(fromISODate(viewedWeek), 7));
+  if (weekPlans[nextWeek] && !confirm("Next week already has a plan. Replace it with a copy of this week?")) return;
+  
+  copyWeekPlan(weeklyPlan, nextWeek);
+  saveProgress("plan next week");
+  showWeek(nextWeek);
+  showNotification("Next week is planned. Adjust it as you like!", "success");
+}
+
+async function buildViewedWeek() {
+  if (weeklyPlan && !confirm("Rebuild this week from your task batches? Manual changes to it will be lost.")) return;
+  await buildWeekPlan(viewedWeek);
+  showNotification("Week built from your tasks", "success");
+}
+
+// Re-anchors every dated week on the new start day. A plan moves to the week
+// holding most of its days, and keeps its Mon–Sun entries as they were.
+function changeWeekStart() {
+  weekStartDay = Number(document.getElementById("weekStart").value);
+  const reanchor = weekOf => toISODate(startOfWeek(addDays(fromISODate(weekOf), 3)));
+  
+  weekPlans = Object.fromEntries(Object.values(weekPlans).map(p => {
+    p.weekOf = reanchor(p.weekOf);
+    return [p.weekOf, p];
+  }));
+  viewedWeek = reanchor(viewedWeek);
+  weeklyPlan = weekPlans[viewedWeek] || null;
+  
+  renderAll();
+  saveProgress();
+}
+
+function renderWeekNav() {
+  const start = fromISODate(viewedWeek);
+  const offset = Math.round((start - fromISODate(currentWeekOf())) / (7 * DAY_MS));
+  const label = offset === 0 ? "This week"
+    : offset === 1 ? "Next week"
+    : offset === -1 ? "Last week"
+    : offset > 0 ? `In ${offset} weeks` : `${-offset} weeks ago`;
+  
+  document.getElementById("weekLabel").textContent = label;
+  document.getElementById("weekRange").textContent =
+    `${formatShortDate(start)} – ${formatShortDate(addDays(start, 6))} ${addDays(start, 6).getFullYear()}`;
+  document.getElementById("copyWeekBtn").disabled = !latestPlanBefore(viewedWeek);
+}
+
+// Countdown chips for every goal deadline and milestone that hasn't slipped out of view
+function renderDeadlines() {
+  const upcoming = deadlineMarkers()
+    .filter(m => m.date >= viewedWeek)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  
+  render(document.getElementById("deadlineStrip"), upcoming.map(m => html`
+    <span class="deadline-chip" style="border-color:${m.color}">
+      ${m.icon} <strong>${m.name}</strong> · ${deadlineText(m.date)}
+    </span>
+  `));
+}
+
+// Planned/done per day across every stored week, for the month around the viewed week
+function renderMonthOverview() {
+  const anchor = addDays(fromISODate(viewedWeek), 3);
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const gridStart = startOfWeek(first);
+  const weeks = Math.ceil((Math.round((last - gridStart) / DAY_MS) + 1) / 7);
+  
+  const byDate = new Map(allWeekSummaries().flatMap(w => w.days.map(d => [d.date, d])));
+  const today = toISODate(new Date());
+  const markers = deadlineMarkers();
+  let planned = 0;
+  let completed = 0;
+  const cells = [];
+  
+  for (let i = 0; i < weeks * 7; i++) {
+    const date = addDays(gridStart, i);
+    const iso = toISODate(date);
+    const info = byDate.get(iso);
+    const inMonth = date.getMonth() === first.getMonth();
+    const weekOf = toISODate(startOfWeek(date));
+    const due = markers.filter(m => m.date === iso);
+    
+    if (inMonth && info) {
+      planned += info.planned;
+      completed += info.completed;
+    }
+    
+    cells.push(html`
+      <button class="month-day ${inMonth ? '' : 'outside'} ${iso === today ? 'today' : ''} ${weekOf === viewedWeek ? 'viewed' : ''} ${info?.planned && info.completed >= info.planned ? 'done' : ''}"
+              data-week="${weekOf}" aria-label="${date.toDateString()}${info?.planned ? html`, ${info.completed} of ${info.planned} done` : ''}${due.length ? html`, deadline: ${due.map(m => m.name).join(', ')}` : ''}">
+        <span class="month-date">${date.getDate()}</span>
+        ${info?.planned ? html`<span class="month-count">${info.completed}/${info.planned}</span>` : ""}
+        ${due.map(m => html`<span class="month-deadline" style="background:${m.color}" title="${m.name} deadline"></span>`)}
+      </button>
+    `);
+  }
+  
+  render(document.getElementById("monthOverview"), html`
+    <div class="month-header">
+      <strong>${first.toLocaleDateString(undefined, { month: "long", year: "numeric" })}</strong>
+      <span>${completed}/${planned} sessions done · ${percent(completed, planned)}%</span>
+    </div>
+    <div class="month-grid">
+      ${weekDays().map(d => html`<span class="month-weekday">${d}</span>`)}
+      ${cells}
+    </div>
+  `);
+}
+
+/* ==================== PROGRESS TRACKING ==================== */
+// Completion is stored per dated week on the timetable entries
+function setTaskCompleted(taskId, day, done, plan = weeklyPlan) {
+  const entry = plan?.table[day]?.find(t => t.id === taskId);
+  if (entry) entry.completed = done;
+  progressChanged(plan, entry && `${done ? "tick off" : "untick"} "${entry.task}"`);
+}
+
+function progressChanged(plan, label) {
+  // Ticking off something late keeps the archived summary of that week in step
+  if (plan && plan.weekOf < currentWeekOf()) archiveWeek(plan);
+  saveProgress(label);
+  
+  const summary = document.getElementById("workloadSummary");
+  if (summary && weeklyPlan) render(summary, workloadSummaryHTML(weeklyPlan.table));
+  renderHistory();
+  renderMonthOverview();
+  renderRuleStatus();
+}
+
+function workloadSummaryHTML(table) {
+  return weekDays().map(d => {
+    const planned = table[d].length;
+    const done = table[d].filter(t => t.completed).length;
+    const minutes = table[d].reduce((sum, t) => sum + t.duration, 0);
+    const actual = table[d].reduce((sum, t) => sum + (t.actualMinutes || 0), 0);
+    return html`
+      <div class="workload-item ${planned === 0 ? 'empty' : planned > 3 ? 'heavy' : ''} ${planned > 0 && done === planned ? 'done' : ''}">
+        <span class="day-label">${d}</span>
+        <span class="task-count-badge" title="${done} of ${planned} done · ${minutes} mins planned · ${actual} mins focused">${done}/${planned}</span>
+        ${actual ? html`<span class="effort-compare" title="Focused vs planned minutes">${actual}/${minutes}m</span>` : ""}
+      </div>
+    `;
+  });
+}
+
+function summarizeWeek(plan) {
+  return PlannerCore.summarizeWeek(plan, weekStartDay);
+}
+
+function archiveWeek(plan) {
+  const summary = { ...summarizeWeek(plan), archivedAt: new Date().toISOString() };
+  weekHistory = [...weekHistory.filter(w => w.weekOf !== summary.weekOf), summary]
+    .sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+}
+
+// Weeks that have ended are archived automatically the next time the plan loads,
+// and the latest plan carries into the current week if it has none yet
+function rollOverWeek() {
+  const thisWeek = currentWeekOf();
+  const archived = new Set(weekHistory.map(w => w.weekOf));
+  const ended = Object.values(weekPlans).filter(p => p.weekOf < thisWeek && !archived.has(p.weekOf));
+  ended.forEach(archiveWeek);
+  const decided = judgeEndedWeeks();
+  
+  const cutoff = toISODate(addDays(fromISODate(thisWeek), -7 * MAX_STORED_WEEKS));
+  Object.keys(weekPlans).filter(w => w < cutoff).forEach(w => delete weekPlans[w]);
+  
+  const latest = latestPlanBefore(thisWeek);
+  if (ended.length && latest && !weekPlans[thisWeek]) {
+    copyWeekPlan(latest, thisWeek);
+    showNotification("Last week was archived. Fresh week started!", "info");
+  }
+  if (ended.length || decided.length) saveProgress();
+  
+  viewedWeek = thisWeek;
+  weeklyPlan = weekPlans[thisWeek] || null;
+}
+
+// Live summaries of stored weeks, plus archived ones whose full plan is gone
+function allWeekSummaries() {
+  const live = Object.values(weekPlans).map(summarizeWeek);
+  const liveWeeks = new Set(live.map(w => w.weekOf));
+  return [...weekHistory.filter(w => !liveWeeks.has(w.weekOf)), ...live]
+    .sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+}
+
+// Consecutive planned days where everything got done; today only counts once finished
+function computeStreaks() {
+  const today = toISODate(new Date());
+  const days = allWeekSummaries().flatMap(w => w.days).filter(d => d.planned > 0 && (d.date < today || (d.date === today && d.completed >= d.planned)));
+  
+  let current = 0;
+  let best = 0;
+  days.forEach(d => {
+    current = d.completed >= d.planned ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return { current, best };
+}
+
+function renderHistory() {
+  const select = document.getElementById("historyWeek");
+  const chosen = select.value;
+  const thisWeek = currentWeekOf();
+  const weeks = allWeekSummaries().filter(w => w.weekOf <= thisWeek).reverse();
+  
+  if (weeks.length === 0) {
+    render(document.getElementById("historyArea"), html`
+      <div class="empty-state"><p>📈 Generate a plan and tick off tasks to start tracking progress.</p></div>
+    `);
+    render(select, "");
+    return;
+  }
+  
+  render(select, weeks.map(w => html`
+    <option value="${w.weekOf}">${w.weekOf === thisWeek ? "This week" : "Week of " + w.weekOf} (${percent(w.completed, w.planned)}%)</option>
+  `));
+  if (weeks.some(w => w.weekOf === chosen)) select.value = chosen;
+  
+  const week = weeks.find(w => w.weekOf === select.value);
+  const streaks = computeStreaks();
+  
+  render(document.getElementById("historyArea"), html`
+    <div class="streak-row">
+      <div class="streak-badge">🔥 Current streak <strong>${streaks.current}</strong> day${streaks.current !== 1 ? 's' : ''}</div>
+      <div class="streak-badge">🏆 Best streak <strong>${streaks.best}</strong> day${streaks.best !== 1 ? 's' : ''}</div>
+      <div class="streak-badge">✅ ${week.completed}/${week.planned} tasks done</div>
+      ${week.actualMinutes ? html`<div class="streak-badge">⏱️ ${week.actualMinutes}/${week.plannedMinutes} mins focused</div>` : ""}
+    </div>
+    ${week.goals.map(g => html`
+      <div class="goal-progress">
+        <div class="goal-progress-header">
+          <span>${g.name}</span>
+          <span>${g.completed}/${g.planned} · ${percent(g.completed, g.planned)}%${g.actualMinutes ? html` · ⏱️ ${g.actualMinutes}/${g.plannedMinutes} mins` : ""}</span>
+        </div>
+        <div class="goal-progress-track">
+          <div class="goal-progress-fill" style="width:${percent(g.completed, g.planned)}%;background:${g.color}"></div>
+        </div>
+      </div>
+    `)}
+  `);
+}
+
+/* ==================== FOCUS SESSIONS ==================== */
+// Pomodoro timer for one timetable entry. Focused minutes are logged on the entry,
+// so they count towards the week, the goal and the workload summary.
+let focusSession = null;
+let focusTicker = null;
+
+function pomodoroLengths() {
+  const read = (id, [min, max, fallback]) => {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return value >= min && value <= max ? value : fallback;
+  };
+  return { work: read("pomodoroWork", POMODORO_LIMITS.work), break: read("pomodoroBreak", POMODORO_LIMITS.break) };
+}
+
+// The running session's entry; it may have been moved past the day's availability since
+function focusEntry() {
+  const plan = focusSession && weekPlans[focusSession.weekOf];
+  return plan && [...plan.table[focusSession.day], ...plan.overflow[focusSession.day]].find(t => t.id === focusSession.taskId);
+}
+
+function startFocusSession(taskId, day) {
+  const entry = weeklyPlan?.table[day]?.find(t => t.id === taskId);
+  if (!entry) return;
+  if (focusSession) stopFocusSession();
+  
+  // Asked on the first start so the prompt comes from a click
+  if ("Notification" in window && Notification.permission === "default") Notification.requestPermission();
+  
+  focusSession = { weekOf: weeklyPlan.weekOf, day, taskId, task: entry.task, round: 1 };
+  startPhase("work");
+  focusTicker = setInterval(tickFocusSession, 1000);
+}
+
+function startPhase(phase) {
+  const minutes = pomodoroLengths()[phase];
+  Object.assign(focusSession, { phase, length: minutes * 60000, endsAt: Date.now() + minutes * 60000, pausedAt: null });
+  renderFocusTimer();
+}
+
+// Time is measured against the clock, so a throttled background tab stays accurate
+function phaseRemaining() {
+  return Math.max(0, focusSession.endsAt - (focusSession.pausedAt ?? Date.now()));
+}
+
+function tickFocusSession() {
+  if (!focusSession || focusSession.pausedAt) return;
+  if (phaseRemaining() === 0) finishPhase();
+  else renderFocusTimer();
+}
+
+function finishPhase() {
+  const { phase, task, round } = focusSession;
+  if (phase === "work") {
+    logFocusTime();
+    notifyPhaseChange("☕ Time for a break", `${task}: focus round ${round} done.`);
+    startPhase("break");
+  } else {
+    focusSession.round++;
+    notifyPhaseChange("🍅 Back to work", `${task}: focus round ${focusSession.round} starts now.`);
+    startPhase("work");
+  }
+}
+
+function skipFocusPhase() {
+  if (focusSession) finishPhase();
+}
+
+function toggleFocusPause() {
+  if (!focusSession) return;
+  if (focusSession.pausedAt) {
+    focusSession.endsAt += Date.now() - focusSession.pausedAt;
+    focusSession.pausedAt = null;
+  } else {
+    focusSession.pausedAt = Date.now();
+  }
+  renderFocusTimer();
+}
+
+function stopFocusSession() {
+  if (!focusSession) return;
+  if (focusSession.phase === "work") logFocusTime();
+  clearInterval(focusTicker);
+  focusSession = null;
+  renderFocusTimer();
+}
+
+// Logs the work time spent in the current phase; enough focused time ticks the task off
+function logFocusTime() {
+  const minutes = Math.round((focusSession.length - phaseRemaining()) / 60000);
+  const entry = focusEntry();
+  if (!entry || minutes <= 0) return;
+  
+  entry.actualMinutes = (entry.actualMinutes || 0) + minutes;
+  if (entry.actualMinutes >= entry.duration && !entry.completed) {
+    entry.completed = true;
+    showNotification(`✅ ${entry.task} done: ${entry.actualMinutes} of ${entry.duration} mins focused`, "success");
+  }
+  
+  const plan = weekPlans[focusSession.weekOf];
+  progressChanged(plan);
+  if (plan === weeklyPlan) renderTimetable(plan.table, plan.overflow, plan.focusTask, plan.weekOf);
+}
+
+function notifyPhaseChange(title, body) {
+  showNotification(`${title} · ${body}`, "info");
+  if ("Notification" in window && Notification.permission === "granted") {
+    new Notification(title, { body, icon: "icon.svg", tag: "focus-timer" });
+  }
+}
+
+function renderFocusTimer() {
+  const panel = document.getElementById("focusTimer");
+  panel.hidden = !focusSession;
+  if (!focusSession) return;
+  
+  const seconds = Math.ceil(phaseRemaining() / 1000);
+  const isWork = focusSession.phase === "work";
+  panel.classList.toggle("on-break", !isWork);
+  document.getElementById("focusTimerTask").textContent = focusSession.task;
+  document.getElementById("focusTimerPhase").textContent = isWork ? `🍅 Focus · round ${focusSession.round}` : "☕ Break";
+  document.getElementById("focusTimerClock").textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  document.getElementById("focusPauseBtn").textContent = focusSession.pausedAt ? "▶ Resume" : "⏸ Pause";
+  document.getElementById("focusSkipBtn").textContent = isWork ? "☕ Break Now" : "🍅 Skip Break";
+}
+
+/* ==================== REMINDERS ==================== */
+// Browser notifications ahead of each session, a morning digest and an end-of-day
+// nudge. A timer checks every minute while the planner is open; reminders that came
+// due while it was closed are skipped rather than delivered late.
+const REMINDER_CHECK_MS = 60 * 1000;
+// A throttled background tab or a laptop waking from sleep still gets recent ones
+const REMINDER_CATCH_UP_MS = 5 * 60 * 1000;
+let reminderSettings = { ...DEFAULT_REMINDERS };
+let lastReminderCheck = new Date();
+
+function notificationsAllowed() {
+  return "Notification" in window && Notification.permission === "granted";
+}
+
+function checkReminders() {
+  const now = new Date();
+  const from = new Date(Math.max(lastReminderCheck, now - REMINDER_CATCH_UP_MS));
+  lastReminderCheck = now;
+  if (!currentUser || !reminderSettings.enabled || !notificationsAllowed()) return;
+  
+  remindersBetween(from, now, { weekPlans, goals, settings: reminderSettings, weekStart: weekStartDay })
+    .forEach(sendReminder);
+}
+
+// Sent through the service worker whenever one is registered, even before it controls
+// the page: clicking it can then reopen the planner, and mobile browsers refuse
+// notifications made any other way
+async function sendReminder({ key, title, body }) {
+  const options = { body, tag: key, icon: "icon.svg", data: { url: location.href.split("#")[0] } };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (error) {
+    console.error("Failed to show reminder:", error);
+  }
+}
+
+async function toggleReminders(enabled) {
+  if (enabled && "Notification" in window && Notification.permission === "default") {
+    await Notification.requestPermission();
+  }
+  if (enabled && !notificationsAllowed()) {
+    showNotification("Notifications are blocked for this site. Allow them in your browser settings to get reminders.", "error");
+    enabled = false;
+  }
+  reminderSettings.enabled = enabled;
+  lastReminderCheck = new Date();
+  renderReminderSettings();
+  saveProgress();
+}
+
+function leadLabel(minutes) {
+  return minutes === 0 ? "At start time" : `${minutes} mins before`;
+}
+
+function renderReminderSettings() {
+  const r = reminderSettings;
+  const blocked = "Notification" in window && Notification.permission === "denied";
+  const leadOptions = selected => REMINDER_LEADS.map(m => html`<option value="${m}" ${m === selected ? "selected" : ""}>${leadLabel(m)}</option>`);
+  
+  render(document.getElementById("reminderSettings"), html`
+    <label class="reminder-toggle">
+      <input type="checkbox" data-field="enabled" ${r.enabled ? "checked" : ""}>
+      Remind me about planned tasks
+    </label>
+    ${blocked ? html`<small class="reminder-blocked">🔕 Notifications are blocked for this site in your browser settings</small>` : ""}
+    <div class="reminder-grid ${r.enabled ? "" : "disabled"}">
+      <label for="reminderLead">⏰ Before each task</label>
+      <select id="reminderLead" data-field="leadMinutes">${leadOptions(r.leadMinutes)}</select>
+      
+      <label><input type="checkbox" data-field="digest" ${r.digest ? "checked" : ""}> ☀️ Morning digest at</label>
+      <input type="time" data-field="digestTime" value="${r.digestTime}" aria-label="Morning digest time">
+      
+      <label><input type="checkbox" data-field="nudge" ${r.nudge ? "checked" : ""}> 🌙 Unfinished tasks nudge at</label>
+      <input type="time" data-field="nudgeTime" value="${r.nudgeTime}" aria-label="End-of-day nudge time">
+      
+      <label>😴 Quiet hours</label>
+      <span class="reminder-quiet">
+        <input type="time" data-field="quietStart" value="${r.quietStart}" aria-label="Quiet hours start">
+        <span>to</span>
+        <input type="time" data-field="quietEnd" value="${r.quietEnd}" aria-label="Quiet hours end">
+      </span>
+    </div>
+    ${activeGoals().length ? html`
+      <div class="reminder-goals ${r.enabled ? "" : "disabled"}">
+        ${activeGoals().map(g => {
+          const value = g.reminders?.enabled === false ? "off" : g.reminders?.leadMinutes ?? "default";
+          return html`
+            <div class="reminder-goal" data-goal-id="${g.id}">
+              <span class="legend-color" style="background:${g.color}"></span>
+              <label for="reminderGoal${g.id}">${g.name}</label>
+              <select id="reminderGoal${g.id}" data-field="goal-lead">
+                <option value="default" ${value === "default" ? "selected" : ""}>Default</option>
+                <option value="off" ${value === "off" ? "selected" : ""}>No reminders</option>
+                ${leadOptions(value)}
+              </select>
+            </div>
+          `;
+        })}
+      </div>
+    ` : ""}
+  `);
+}
+
+function updateReminderSetting(el) {
+  const field = el.dataset.field;
+  if (field === "enabled") return toggleReminders(el.checked);
+  
+  if (field === "goal-lead") {
+    const goal = goals.find(g => String(g.id) === el.closest("[data-goal-id]").dataset.goalId);
+    if (el.value === "default") delete goal.reminders;
+    else goal.reminders = el.value === "off" ? { enabled: false } : { enabled: true, leadMinutes: Number(el.value) };
+  } else if (field === "digest" || field === "nudge") {
+    reminderSettings[field] = el.checked;
+  } else if (field === "leadMinutes") {
+    reminderSettings.leadMinutes = Number(el.value);
+  } else if (/^\d{2}:\d{2}$/.test(el.value)) {
+    reminderSettings[field] = el.value;
+  }
+  saveProgress();
+}
+
+/* ==================== ACCOUNTABILITY ==================== */
+// Conditions attached to the reward and the punishment, judged once a week has ended.
+// The reward is earned when all of its conditions hold; any one punishment condition triggers it.
+const DEFAULT_RULES = {
+  reward: { metric: "completion", op: "atLeast", value: 80 },
+  punishment: { metric: "focusMissed", op: "atLeast", value: 2 }
+};
+
+// Sessions only count as missed once their day is over
+function measureRule(metric, plan) {
+  const week = summarizeWeek(plan);
+  const today = toISODate(new Date());
+  switch (metric) {
+    case "completion": return percent(week.completed, week.planned);
+    case "focusedTime": return percent(week.actualMinutes, week.plannedMinutes);
+    case "perfectDays": return week.days.filter(d => d.planned > 0 && d.completed >= d.planned).length;
+    case "focusMissed": return weekDays().filter(d => toISODate(dateOfDay(plan.weekOf, d)) < today)
+      .flatMap(d => plan.table[d])
+      .filter(t => plan.focusTask && t.task.toLowerCase().includes(plan.focusTask) && !t.completed).length;
+  }
+  return 0;
+}
+
+function ruleMet(rule, actual) {
+  return rule.op === "atLeast" ? actual >= rule.value : actual <= rule.value;
+}
+
+function ruleText(rule) {
+  return `${RULE_METRICS[rule.metric].label} ${RULE_OPERATORS[rule.op]} ${rule.value}`;
+}
+
+function hasRules(plan) {
+  return Boolean(plan.rules?.reward.length || plan.rules?.punishment.length);
+}
+
+function judgeWeek(plan) {
+  const results = ["reward", "punishment"].flatMap(side => plan.rules[side].map(rule => {
+    const actual = measureRule(rule.metric, plan);
+    return { side, ...rule, actual, met: ruleMet(rule, actual) };
+  }));
+  const rewardResults = results.filter(r => r.side === "reward");
+  const punishmentResults = results.filter(r => r.side === "punishment");
+  
+  return {
+    weekOf: plan.weekOf,
+    reward: plan.reward,
+    punishment: plan.punishment,
+    rewardEarned: rewardResults.length ? rewardResults.every(r => r.met) : null,
+    punishmentTriggered: punishmentResults.length ? punishmentResults.some(r => r.met) : null,
+    results,
+    decidedAt: new Date().toISOString()
+  };
+}
+
+// A week is judged once, when it is first seen after it ended; ticking it off later doesn't change the verdict
+function judgeEndedWeeks() {
+  const thisWeek = currentWeekOf();
+  const judged = new Set(verdicts.map(v => v.weekOf));
+  const decided = Object.values(weekPlans)
+    .filter(p => p.weekOf < thisWeek && !judged.has(p.weekOf) && hasRules(p))
+    .sort((a, b) => a.weekOf.localeCompare(b.weekOf))
+    .map(judgeWeek);
+  
+  verdicts = [...verdicts, ...decided].sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+  if (decided.length) showVerdicts(decided);
+  return decided;
+}
+
+function verdictHTML(v) {
+  return html`
+    <div class="verdict">
+      <h4>Week of ${v.weekOf}</h4>
+      ${v.rewardEarned !== null ? html`
+        <p class="verdict-outcome ${v.rewardEarned ? 'earned' : 'missed'}">
+          ${v.rewardEarned ? html`🎁 Reward earned: <strong>${v.reward}</strong>` : html`🎁 Reward not earned: ${v.reward}`}
+        </p>` : ""}
+      ${v.punishmentTriggered !== null ? html`
+        <p class="verdict-outcome ${v.punishmentTriggered ? 'triggered' : 'avoided'}">
+          ${v.punishmentTriggered ? html`⚠️ Punishment triggered: <strong>${v.punishment}</strong>` : html`🛡️ Punishment avoided: ${v.punishment}`}
+        </p>` : ""}
+      <ul class="verdict-rules">
+        ${v.results.map(r => html`
+          <li>${r.met ? "✅" : "❌"} ${r.side === "reward" ? "Reward" : "Punishment"} if ${ruleText(r)} <span class="rule-actual">(was ${r.actual})</span></li>
+        `)}
+      </ul>
+    </div>
+  `;
+}
+
+function showVerdicts(list) {
+  render(document.getElementById("verdictBody"), list.map(verdictHTML));
+  document.getElementById("verdictDialog").classList.add("open");
+}
+
+function closeVerdicts() {
+  document.getElementById("verdictDialog").classList.remove("open");
+}
+
+// Rule editors on the motivation slide
+function renderRuleEditor(side) {
+  const rules = accountabilityRules[side];
+  render(document.getElementById(`${side}Rules`), html`
+    ${rules.map((rule, i) => html`
+      <div class="rule-row" data-index="${i}">
+        <span>${i === 0 ? "if" : side === "reward" ? "and" : "or"}</span>
+        <select data-field="metric" aria-label="Measure">
+          ${Object.entries(RULE_METRICS).map(([key, m]) => html`<option value="${key}" ${key === rule.metric ? "selected" : ""}>${m.label}</option>`)}
+        </select>
+        <select data-field="op" aria-label="Comparison">
+          ${Object.entries(RULE_OPERATORS).map(([key, label]) => html`<option value="${key}" ${key === rule.op ? "selected" : ""}>${label}</option>`)}
+        </select>
+        <input type="number" data-field="value" value="${rule.value}" min="0" max="${RULE_METRICS[rule.metric].max}" aria-label="Threshold">
+        <button class="delete" data-action="remove-rule" title="Remove condition">✕</button>
+      </div>
+    `)}
+    <button class="secondary btn-small" data-action="add-rule">+ Add condition</button>
+  `);
+}
+
+function renderRuleEditors() {
+  renderRuleEditor("reward");
+  renderRuleEditor("punishment");
+}
+
+function liveRules() {
+  return JSON.parse(JSON.stringify(accountabilityRules));
+}
+
+// Weeks that haven't ended yet are judged by the conditions as they stand now
+function rulesChanged(side, label) {
+  const thisWeek = currentWeekOf();
+  Object.values(weekPlans).filter(p => p.weekOf >= thisWeek).forEach(p => { p.rules = liveRules(); });
+  renderRuleEditor(side);
+  renderRuleStatus();
+  saveProgress(label);
+}
+
+function addRule(side) {
+  accountabilityRules[side].push({ ...DEFAULT_RULES[side] });
+  rulesChanged(side, `add a ${side} condition`);
+}
+
+function removeRule(side, index) {
+  accountabilityRules[side].splice(index, 1);
+  rulesChanged(side, `remove a ${side} condition`);
+}
+
+function updateRule(side, index) {
+  const row = document.querySelector(`#${side}Rules .rule-row[data-index="${index}"]`);
+  const metric = row.querySelector('[data-field="metric"]').value;
+  const value = parseInt(row.querySelector('[data-field="value"]').value, 10);
+  accountabilityRules[side][index] = {
+    metric,
+    op: row.querySelector('[data-field="op"]').value,
+    value: Math.min(Math.max(Number.isNaN(value) ? 0 : value, 0), RULE_METRICS[metric].max)
+  };
+  rulesChanged(side, `change a ${side} condition`);
+}
+
+// Live standing of the viewed week against its conditions, under the reward and punishment
+function renderRuleStatus() {
+  ["reward", "punishment"].forEach(side => {
+    const el = document.getElementById(`${side}RuleStatus`);
+    const rules = weeklyPlan?.rules?.[side] || [];
+    const verdict = verdicts.find(v => v.weekOf === weeklyPlan?.weekOf);
+    render(el, [
+      rules.map(rule => {
+        const actual = measureRule(rule.metric, weeklyPlan);
+        return html`<li class="${ruleMet(rule, actual) ? 'met' : ''}">if ${ruleText(rule)} · now ${actual}</li>`;
+      }),
+      verdict ? html`<li class="rule-verdict">${
+        side === "reward"
+          ? (verdict.rewardEarned ? "🏆 Earned" : verdict.rewardEarned === false ? "Not earned" : "")
+          : (verdict.punishmentTriggered ? "⚠️ Triggered" : verdict.punishmentTriggered === false ? "🛡️ Avoided" : "")
+      }</li>` : ""
+    ]);
+  });
+}
+
+function renderVerdictHistory() {
+  const area = document.getElementById("verdictHistory");
+  render(area, verdicts.length === 0
+    ? html`<div class="empty-state"><p>⚖️ Add conditions to your reward or punishment to get a verdict at the end of each week.</p></div>`
+    : [...verdicts].reverse().map(verdictHTML));
+}
+
+/* ==================== STATISTICS ==================== */
+// Charts drawn as inline SVG from the week summaries, so they work offline and export as-is
+const STATS_WEEKS = 12;
+const CHART_WIDTH = 640;
+const CHART_FONT = "system-ui, sans-serif";
+const MOOD_STYLES = {
+  energized: { emoji: "⚡", color: "#22c55e" },
+  normal: { emoji: "😌", color: "#38bdf8" },
+  tired: { emoji: "😴", color: "#a78bfa" },
+  stressed: { emoji: "😰", color: "#f87171" }
+};
+const STATS_CHARTS = {
+  goals: { title: "🎯 Goal Completion by Week", draw: goalRateSVG, rows: goalRateRows },
+  heatmap: { title: "🔥 Tasks per Weekday", draw: heatmapSVG, rows: heatmapRows },
+  trend: { title: "📉 Planned vs Completed, with Mood", draw: trendSVG, rows: trendRows }
+};
+
+function statsWeeks() {
+  const thisWeek = currentWeekOf();
+  return allWeekSummaries().filter(w => w.weekOf <= thisWeek && w.planned > 0).slice(-STATS_WEEKS);
+}
+
+function shortWeekLabel(weekOf) {
+  return formatShortDate(fromISODate(weekOf));
+}
+
+// Goals are matched across weeks by id, and drawn with their current name and colour if they still exist
+function goalSeries(weeks) {
+  const series = new Map();
+  weeks.forEach((w, i) => w.goals.forEach(g => {
+    const key = String(g.goalId ?? g.name);
+    const current = goals.find(goal => String(goal.id) === key);
+    if (!series.has(key)) {
+      series.set(key, { name: current?.name || g.name, color: current?.color || g.color, values: weeks.map(() => null), stats: weeks.map(() => null) });
+    }
+    series.get(key).values[i] = percent(g.completed, g.planned);
+    series.get(key).stats[i] = g;
+  }));
+  return [...series.values()];
+}
+
+function chartSVG(height, label, parts) {
+  return html`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${height}" width="${CHART_WIDTH}" height="${height}" role="img" aria-label="${label}" font-family="${CHART_FONT}" font-size="12">
+    <rect width="${CHART_WIDTH}" height="${height}" fill="#020617"/>
+    ${parts}
+  </svg>`;
+}
+
+// Shared frame for the week-by-week line charts; `bands` paints a background per week
+function lineChartSVG({ labels, series, max, unit, label, bands = [] }) {
+  const height = 280;
+  const left = 44, right = 16, top = 28, bottom = 64;
+  const plotWidth = CHART_WIDTH - left - right;
+  const plotHeight = height - top - bottom;
+  const step = plotWidth / Math.max(labels.length, 1);
+  const x = i => left + step * (i + 0.5);
+  const y = value => top + plotHeight - (value / max) * plotHeight;
+  
+  const parts = [];
+  bands.forEach((band, i) => {
+    if (!band) return;
+    parts.push(html`<rect x="${left + step * i}" y="${top}" width="${step}" height="${plotHeight}" fill="${band.color}" fill-opacity="0.12"/>
+      <text x="${x(i)}" y="${top - 8}" text-anchor="middle" font-size="14">${band.emoji}<title>${band.title}</title></text>`);
+  });
+  [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+    const value = Math.round(max * f);
+    parts.push(html`<line x1="${left}" x2="${CHART_WIDTH - right}" y1="${y(value)}" y2="${y(value)}" stroke="#334155" stroke-dasharray="3 3"/>
+      <text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" fill="#94a3b8">${value}${unit}</text>`);
+  });
+  labels.forEach((l, i) => {
+    parts.push(html`<text x="${x(i)}" y="${top + plotHeight + 16}" text-anchor="middle" fill="#94a3b8">${l}</text>`);
+  });
+  
+  series.forEach(s => {
+    // Weeks without data break the line instead of dropping to zero
+    const path = s.values.map((v, i) => v === null ? "" : `${i === 0 || s.values[i - 1] === null ? "M" : "L"}${x(i)},${y(v)}`).join(" ");
+    parts.push(html`<path d="${path}" fill="none" stroke="${s.color}" stroke-width="2.5"${s.dashed ? html` stroke-dasharray="6 4"` : ""}/>`);
+    s.values.forEach((v, i) => {
+      if (v !== null) parts.push(html`<circle cx="${x(i)}" cy="${y(v)}" r="3.5" fill="${s.color}"><title>${s.name}, week of ${labels[i]}: ${v}${unit}</title></circle>`);
+    });
+  });
+  
+  let legendX = left;
+  series.forEach(s => {
+    parts.push(html`<rect x="${legendX}" y="${height - 22}" width="12" height="12" rx="2" fill="${s.color}"/>
+      <text x="${legendX + 18}" y="${height - 12}" fill="#e5e7eb">${s.name}</text>`);
+    legendX += 30 + s.name.length * 7;
+  });
+  return chartSVG(height, label, parts);
+}
+
+function goalRateSVG(weeks) {
+  return lineChartSVG({
+    labels: weeks.map(w => shortWeekLabel(w.weekOf)),
+    series: goalSeries(weeks),
+    max: 100,
+    unit: "%",
+    label: "Completion rate per goal by week"
+  });
+}
+
+function trendSVG(weeks) {
+  const max = Math.max(...weeks.map(w => w.planned), 1);
+  return lineChartSVG({
+    labels: weeks.map(w => shortWeekLabel(w.weekOf)),
+    series: [
+      { name: "Planned", color: "#94a3b8", values: weeks.map(w => w.planned), dashed: true },
+      { name: "Completed", color: "#38bdf8", values: weeks.map(w => w.completed) }
+    ],
+    max: Math.ceil(max / 4) * 4,
+    unit: "",
+    label: "Planned and completed tasks by week, with mood",
+    bands: weeks.map(w => w.mood && { ...MOOD_STYLES[w.mood], title: `Mood: ${w.mood}` })
+  });
+}
+
+function heatmapSVG(weeks) {
+  const days = weekDays();
+  const left = 64, top = 28, cell = 40, gap = 4;
+  const height = top + weeks.length * (cell + gap) + 8;
+  const max = Math.max(...weeks.flatMap(w => w.days.map(d => d.planned)), 1);
+  
+  const parts = [];
+  days.forEach((d, c) => {
+    parts.push(html`<text x="${left + c * (cell + gap) + cell / 2}" y="${top - 10}" text-anchor="middle" fill="#94a3b8">${d}</text>`);
+  });
+  weeks.forEach((w, r) => {
+    const rowY = top + r * (cell + gap);
+    parts.push(html`<text x="${left - 8}" y="${rowY + cell / 2 + 4}" text-anchor="end" fill="#94a3b8">${shortWeekLabel(w.weekOf)}</text>`);
+    days.forEach((d, c) => {
+      const info = w.days.find(day => day.day === d) || { planned: 0, completed: 0 };
+      const cellX = left + c * (cell + gap);
+      parts.push(html`<rect x="${cellX}" y="${rowY}" width="${cell}" height="${cell}" rx="6"
+          fill="#38bdf8" fill-opacity="${info.planned ? (0.15 + 0.85 * info.planned / max).toFixed(2) : 0.04}"
+          stroke="${info.planned && info.completed >= info.planned ? '#22c55e' : 'none'}" stroke-width="2">
+          <title>${d}, week of ${w.weekOf}: ${info.completed} of ${info.planned} done</title>
+        </rect>`);
+      if (info.planned) {
+        parts.push(html`<text x="${cellX + cell / 2}" y="${rowY + cell / 2 + 4}" text-anchor="middle" fill="#e5e7eb" font-size="11">${info.completed}/${info.planned}</text>`);
+      }
+    });
+  });
+  return chartSVG(height, "Tasks per weekday by week", parts);
+}
+
+// CSV rows behind each chart; the first row is the header
+function goalRateRows(weeks) {
+  return [["week", "goal", "planned", "completed", "rate_percent"],
+    ...goalSeries(weeks).flatMap(s => s.stats.map((g, i) => g && [weeks[i].weekOf, s.name, g.planned, g.completed, s.values[i]]).filter(Boolean))];
+}
+
+function heatmapRows(weeks) {
+  return [["week", "day", "date", "planned", "completed"],
+    ...weeks.flatMap(w => weekDays().map(d => {
+      const info = w.days.find(day => day.day === d) || { planned: 0, completed: 0, date: toISODate(dateOfDay(w.weekOf, d)) };
+      return [w.weekOf, d, info.date, info.planned, info.completed];
+    }))];
+}
+
+function trendRows(weeks) {
+  return [["week", "planned", "completed", "rate_percent", "planned_minutes", "focused_minutes", "mood"],
+    ...weeks.map(w => [w.weekOf, w.planned, w.completed, percent(w.completed, w.planned), w.plannedMinutes ?? "", w.actualMinutes ?? "", w.mood || ""])];
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderStats() {
+  const area = document.getElementById("statsArea");
+  const weeks = statsWeeks();
+  if (weeks.length === 0) {
+    render(area, html`<div class="empty-state"><p>📈 Plan a week and tick off some tasks to see your statistics.</p></div>`);
+    return;
+  }
+  
+  render(area, Object.entries(STATS_CHARTS).map(([name, chart]) => html`
+    <div class="chart-card" id="chart-${name}">
+      <div class="chart-header">
+        <h3>${chart.title}</h3>
+        <div class="chart-actions">
+          <button class="secondary btn-small" data-chart="${name}" data-format="png">🖼️ PNG</button>
+          <button class="secondary btn-small" data-chart="${name}" data-format="csv">📄 CSV</button>
+        </div>
+      </div>
+      <div class="chart-body">${chart.draw(weeks)}</div>
+    </div>
+  `));
+}
+
+function showStats() {
+  saveProgress();
+  renderStats();
+  slide = STATS_SLIDE;
+  updateUI();
+}
+
+function exportChartCSV(name) {
+  const rows = STATS_CHARTS[name].rows(statsWeeks());
+  downloadFile(rows.map(row => row.map(csvCell).join(",")).join("\r\n"), `focus-${name}-${currentWeekOf()}.csv`, "text/csv");
+}
+
+// Rasterises the chart's own SVG at twice its size
+function exportChartPNG(name) {
+  const svg = document.querySelector(`#chart-${name} svg`);
+  const width = svg.width.baseVal.value;
+  const height = svg.height.baseVal.value;
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: "image/svg+xml" }));
+  const image = new Image();
+  
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * 2;
+    canvas.height = height * 2;
+    const context = canvas.getContext("2d");
+    context.scale(2, 2);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadFile(blob, `focus-${name}-${currentWeekOf()}.png`, "image/png"));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    showNotification("Couldn't create the image", "error");
+  };
+  image.src = url;
+}
+
+/* ==================== AI SUGGESTIONS ==================== */
+async function generateAISuggestions(table, days) {
+  const suggestionEl = document.getElementById("aiSuggestion");
+  const mood = document.getElementById("mood").value;
+  const mainDay = document.getElementById("mainDay").value;
+  
+  render(suggestionEl, html`
+    <div class="ai-loading">
+      <span class="spinner"></span>
+      <p>Analyzing your schedule and generating insights...</p>
+    </div>
+  `);
+  
+  const workloadData = days.map(d => ({
+    day: d,
+    taskCount: table[d].length,
+    minutes: table[d].reduce((sum, t) => sum + t.duration, 0),
+    tasks: table[d].map(t => `${formatTime(t.start)}-${formatTime(t.end)} ${t.task}`)
+  }));
+  
+  try {
+    const suggestions = await callAI(`You are a student productivity coach. Analyze this weekly schedule and provide actionable insights.
+
+Weekly Schedule:
+${workloadData.map(d => `${d.day}: ${d.taskCount} tasks, ${d.minutes} mins - ${d.tasks.join(', ') || 'None'}`).join('\n')}
+
+Main Focus Day: ${mainDay}
+Current Mood/Energy: ${mood}
+Break Between Tasks: ${getBreakMinutes()} mins
+
+Provide 3-5 specific, actionable suggestions to optimize this schedule. Consider:
+- Workload balance across days
+- Task distribution based on energy levels (${mood})
+- Break recommendations
+- Priority adjustments
+- Time management tips
+
+Format as bullet points, be concise and encouraging.`, { maxTokens: 2000 });
+    renderSuggestions(table, suggestions);
+    return suggestions;
+  } catch (error) {
+    console.error('AI suggestions failed:', error);
+    renderSuggestions(table, null);
+    return null;
+  }
+}
+
+function renderSuggestions(table, suggestions) {
+  const suggestionEl = document.getElementById("aiSuggestion");
+  
+  if (suggestions) {
+    render(suggestionEl, html`
+      <div class="ai-suggestions-content">
+        <h4>📊 Workload Analysis</h4>
+        <div class="workload-summary" id="workloadSummary">
+          ${workloadSummaryHTML(table)}
+        </div>
+        
+        <h4 style="margin-top:20px">💡 AI Recommendations</h4>
+        <div class="suggestions-text">
+          ${renderMarkdown(suggestions)}
+        </div>
+      </div>
+    `);
+    return;
+  }
+  
+  const { cap, heavyDays } = workloadHeuristics(table, document.getElementById("mood").value);
+  render(suggestionEl, html`
+    <div class="ai-suggestions-content">
+      <h4>📊 Workload Summary</h4>
+      <div class="workload-summary" id="workloadSummary">
+        ${workloadSummaryHTML(table)}
+      </div>
+      <p style="margin-top:15px;opacity:0.8">
+        💡 Balance your tasks across the week. Heavy days (${heavyDays.join(', ') || 'none'}) go past your ${cap}-point daily limit and might need breaks or task redistribution.
+      </p>
+    </div>
+  `);
+}
+
+/* ==================== DATA PERSISTENCE ==================== */
+// Everything a saved plan holds, gathered from state and the settings fields
+function plannerState() {
+  return {
+    goals,
+    allTasks,
+    mainDay: document.getElementById("mainDay")?.value,
+    reward: document.getElementById("reward")?.value,
+    punishment: document.getElementById("punishment")?.value,
+    mood: document.getElementById("mood")?.value,
+    focusTask: document.getElementById("focusTask")?.value,
+    availability,
+    breakMinutes: document.getElementById("breakMinutes")?.value,
+    pomodoro: pomodoroLengths(),
+    weekStart: weekStartDay,
+    weekPlans,
+    weekHistory,
+    commitments,
+    rules: accountabilityRules,
+    reminders: reminderSettings,
+    templates: userTemplates,
+    verdicts
+  };
+}
+
+// A label names the change for undo; saves without one (rollovers, settings) aren't undo steps
+function saveProgress(label) {
+  recordChange(label);
+  if (!currentUser || !sessionKey) return;
+  
+  const planData = { ...serializePlan(plannerState()), lastSaved: new Date().toISOString() };
+  
+  const key = sessionKey;
+  const storageKey = `plan_${currentUser.id}`;
+  saveQueue = saveQueue
+    .then(() => encryptJSON(planData, key))
+    .then(envelope => setStoredItem(storageKey, JSON.stringify(envelope)))
+    .catch(error => console.error("Failed to save plan:", error));
+}
+
+// False when a stored plan can't be read: the session is ended then, so nothing saves over it
+async function loadSavedPlan() {
+  if (!currentUser) return false;
+  
+  const saved = getStoredItem(`plan_${currentUser.id}`);
+  if (!saved) return true;
+  
+  try {
+    const stored = JSON.parse(saved);
+    const { data } = migratePlan(isEncrypted(stored) ? await decryptJSON(stored, sessionKey) : stored, currentWeekOf());
+    applyPlanData(data);
+    rollOverWeek();
+    renderAll();
+    // Plans saved before encryption are rewritten encrypted straight away
+    if (!isEncrypted(stored)) saveProgress();
+    
+    showNotification("Previous plan loaded!", "success");
+    return true;
+  } catch (error) {
+    console.error("Failed to load plan:", error);
+    endSession();
+    showNotification("Your saved plan couldn't be read, so it was left untouched and you were logged out", "error");
+    return false;
+  }
+}
+
+function applyPlanData(data) {
+  goals = data.goals || [];
+  allTasks = data.allTasks || [];
+  
+  if (data.mainDay) document.getElementById("mainDay").value = data.mainDay;
+  if (data.reward) document.getElementById("reward").value = data.reward;
+  if (data.punishment) document.getElementById("punishment").value = data.punishment;
+  if (data.mood) document.getElementById("mood").value = data.mood;
+  if (data.focusTask) document.getElementById("focusTask").value = data.focusTask;
+  if (data.availability) availability = data.availability;
+  if (data.breakMinutes) document.getElementById("breakMinutes").value = data.breakMinutes;
+  if (data.pomodoro) {
+    document.getElementById("pomodoroWork").value = data.pomodoro.work;
+    document.getElementById("pomodoroBreak").value = data.pomodoro.break;
+  }
+  weekStartDay = data.weekStart ?? 1;
+  document.getElementById("weekStart").value = weekStartDay;
+  weekPlans = data.weekPlans || {};
+  weekHistory = data.weekHistory || [];
+  commitments = data.commitments || [];
+  accountabilityRules = data.rules || { reward: [], punishment: [] };
+  reminderSettings = { ...DEFAULT_REMINDERS, ...data.reminders };
+  userTemplates = data.templates || [];
+  verdicts = data.verdicts || [];
+  taskDrafts = {};
+  
+  // Open on the current week, or the latest planned one if this week has no plan
+  const thisWeek = currentWeekOf();
+  const latest = Object.keys(weekPlans).sort().pop();
+  viewedWeek = (weekPlans[thisWeek] || !latest) ? thisWeek : latest;
+  weeklyPlan = weekPlans[viewedWeek] || null;
+}
+
+// Rebuilds every slide from in-memory state
+function renderAll() {
+  renderGoals();
+  renderBatch();
+  renderAvailability();
+  renderCommitments();
+  renderRuleEditors();
+  renderPlan();
+  renderHistory();
+  renderVerdictHistory();
+  renderTemplates();
+}
+
+/* ==================== UNDO HISTORY ==================== */
+// Each step keeps the planner data from before and after a change, so undo and redo
+// are just restores. Typing in a text field keeps the browser's own undo.
+const UNDO_LIMIT = 50;
+const UNDO_FIELDS = ["mainDay", "reward", "punishment", "mood", "focusTask", "breakMinutes"];
+const UNDO_ACTION = { label: "Undo", run: undo };
+const REDO_ACTION = { label: "Redo", run: redo };
+let undoStack = [];
+let redoStack = [];
+let undoBaseline = null; // the data as of the last recorded step
+
+// The whole plan as it would be saved, so undoing an import or start-over brings back
+// history, commitments and settings too
+function undoSnapshot() {
+  return JSON.stringify(serializePlan(plannerState()));
+}
+
+function resetUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+  undoBaseline = undoSnapshot();
+}
+
+// Without a label the current data just becomes the new baseline
+function recordChange(label) {
+  const after = undoSnapshot();
+  if (after === undoBaseline) return;
+  if (label && undoBaseline !== null) {
+    undoStack = [...undoStack, { label, before: undoBaseline, after }].slice(-UNDO_LIMIT);
+    redoStack = [];
+  }
+  undoBaseline = after;
+}
+
+// Stays on the week being viewed and keeps unsaved task drafts, unlike loading a plan
+function restoreSnapshot(snapshot) {
+  const data = JSON.parse(snapshot);
+  const week = viewedWeek;
+  const drafts = taskDrafts;
+  applyPlanData(data);
+  // applyPlanData leaves fields alone when the plan has them empty; here they were emptied
+  UNDO_FIELDS.forEach(id => {
+    document.getElementById(id).value = data[id] ?? "";
+  });
+  taskDrafts = drafts;
+  viewedWeek = week;
+  weeklyPlan = weekPlans[viewedWeek] || null;
+  undoBaseline = snapshot;
+  
+  renderAll();
+  renderReminderSettings();
+  saveProgress();
+}
+
+function undo() {
+  const step = undoStack.pop();
+  if (!step) {
+    showNotification("Nothing to undo", "info");
+    return;
+  }
+  redoStack.push(step);
+  restoreSnapshot(step.before);
+  showNotification(`Undid ${step.label}`, "info", REDO_ACTION);
+}
+
+function redo() {
+  const step = redoStack.pop();
+  if (!step) {
+    showNotification("Nothing to redo", "info");
+    return;
+  }
+  undoStack.push(step);
+  restoreSnapshot(step.after);
+  showNotification(`Redid ${step.label}`, "info", UNDO_ACTION);
+}
+
+// Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (⌘ on a Mac), on every slide once signed in
+function handleUndoKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || !currentUser || slide === SHARED_SLIDE) return;
+  const key = e.key.toLowerCase();
+  if (key !== "z" && key !== "y") return;
+  if (isTyping(e.target)) return;
+  
+  e.preventDefault();
+  if (key === "y" || e.shiftKey) redo();
+  else undo();
+}
+
+/* ==================== EXPORT/IMPORT ==================== */
+async function exportPlan() {
+  if (!currentUser) {
+    showNotification("Please login first", "error");
+    return;
+  }
+  
+  const exportData = {
+    app: "ai-focus-planner",
+    user: { name: currentUser.name, intent: currentUser.intent },
+    ...serializePlan(plannerState()),
+    exportDate: new Date().toISOString()
+  };
+  
+  const passwordInput = document.getElementById("exportPassword");
+  let fileData = exportData;
+  if (passwordInput.value) {
+    const salt = generateSalt();
+    fileData = {
+      app: "ai-focus-planner",
+      encrypted: {
+        kdf: "PBKDF2-SHA256",
+        iterations: KDF_ITERATIONS,
+        salt,
+        ...await encryptJSON(exportData, await deriveKey(passwordInput.value, salt))
+      }
+    };
+    passwordInput.value = "";
+  }
+  
+  downloadFile(JSON.stringify(fileData, null, 2), `focus-plan-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+  
+  showNotification(fileData.encrypted ? "Password-protected plan exported!" : "Plan exported successfully!", "success");
+}
+
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function importPlan(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    event.target.value = "";
+    let raw;
+    try {
+      raw = JSON.parse(e.target.result);
+    } catch (error) {
+      showImportReport({ fileName: file.name, errors: [{ path: "(file)", message: "Not valid JSON" }], notes: [] });
+      console.error('Import error:', error);
+      return;
+    }
+    
+    if (raw && raw.encrypted) {
+      showUnlockPrompt(file.name, raw.encrypted);
+    } else {
+      reportImport(file.name, raw);
+    }
+  };
+  reader.readAsText(file);
+}
+
+function reportImport(fileName, raw) {
+  try {
+    const { data, notes } = migratePlan(raw, currentWeekOf());
+    const errors = validatePlan(data);
+    showImportReport({ fileName, errors, notes, data });
+  } catch (error) {
+    showImportReport({ fileName, errors: [{ path: "schemaVersion", message: error.message }], notes: [] });
+  }
+}
+
+let pendingImport = null;
+let pendingLocked = null;
+
+function showUnlockPrompt(fileName, envelope) {
+  pendingImport = null;
+  pendingLocked = { fileName, envelope };
+  
+  document.getElementById("importReportTitle").textContent = `🔒 "${fileName}" is password-protected`;
+  render(document.getElementById("importReportBody"), html`
+    <div class="input-group">
+      <label for="importPassword">Export password</label>
+      <input type="password" id="importPassword" class="input-large" autocomplete="off">
+    </div>
+    <p id="unlockError" class="unlock-error" role="alert"></p>
+  `);
+  
+  document.getElementById("importReplaceBtn").style.display = "none";
+  document.getElementById("importMergeBtn").style.display = "none";
+  document.getElementById("importUnlockBtn").style.display = "";
+  document.getElementById("importDialog").classList.add("open");
+  document.getElementById("importPassword").focus();
+}
+
+async function unlockImport() {
+  if (!pendingLocked) return;
+  const { fileName, envelope } = pendingLocked;
+  const password = document.getElementById("importPassword").value;
+  
+  let raw;
+  try {
+    raw = await decryptJSON(envelope, await deriveKey(password, envelope.salt));
+  } catch {
+    document.getElementById("unlockError").textContent = "Wrong password, or the file is damaged.";
+    document.getElementById("importPassword").select();
+    return;
+  }
+  
+  pendingLocked = null;
+  reportImport(fileName, raw);
+}
+
+function showImportReport({ fileName, errors, notes, data = null }) {
+  pendingImport = errors.length === 0 ? data : null;
+  pendingLocked = null;
+  
+  document.getElementById("importReportTitle").textContent = errors.length
+    ? `❌ "${fileName}" can't be imported`
+    : `✅ "${fileName}" is ready to import`;
+  
+  render(document.getElementById("importReportBody"), html`
+    ${notes.length ? html`
+      <h4>Upgraded from an older version</h4>
+      <ul class="import-notes">${notes.map(n => html`<li>${n}</li>`)}</ul>
+    ` : ""}
+    ${errors.length ? html`
+      <h4>${errors.length} problem${errors.length !== 1 ? 's' : ''} found</h4>
+      <ul class="import-errors">
+        ${errors.slice(0, 50).map(err => html`<li><code>${err.path}</code> ${err.message}</li>`)}
+      </ul>
+      ${errors.length > 50 ? html`<p>…and ${errors.length - 50} more</p>` : ""}
+    ` : html`
+      <p>${data.goals.length} goal${data.goals.length !== 1 ? 's' : ''} and ${data.allTasks.length} task${data.allTasks.length !== 1 ? 's' : ''}.
+      Replace your current plan, or merge these into it?</p>
+    `}
+  `);
+  
+  document.getElementById("importReplaceBtn").style.display = pendingImport ? "" : "none";
+  document.getElementById("importMergeBtn").style.display = pendingImport ? "" : "none";
+  document.getElementById("importUnlockBtn").style.display = "none";
+  document.getElementById("importDialog").classList.add("open");
+}
+
+function closeImportReport() {
+  pendingImport = null;
+  pendingLocked = null;
+  document.getElementById("importDialog").classList.remove("open");
+}
+
+function confirmImport(mode) {
+  if (!pendingImport) return;
+  const data = pendingImport;
+  closeImportReport();
+  
+  if (mode === "merge") {
+    if (!mergePlanData(data)) return;
+  } else {
+    // applyPlanData skips what the file leaves empty, which mustn't keep the old plan's values
+    resetPlanFields();
+    applyPlanData(data);
+  }
+  
+  renderAll();
+  saveProgress(mode === "merge" ? "merge the imported plan" : "import a plan");
+  showNotification(mode === "merge" ? "Plan merged successfully!" : "Plan imported successfully!", "success", UNDO_ACTION);
+}
+
+// Adds what's new from the file; anything already in the current plan wins. The merge is
+// worked out on copies and only then swapped in, so a file that doesn't validate changes nothing.
+function mergePlanData(data) {
+  const errors = validatePlan(data);
+  if (errors.length) {
+    showNotification(`This plan can't be merged: ${errors[0].path} ${errors[0].message}`, "error");
+    return false;
+  }
+  
+  const nextGoals = JSON.parse(JSON.stringify(goals));
+  const nextTasks = JSON.parse(JSON.stringify(allTasks));
+  const goalIds = new Set(nextGoals.map(g => String(g.id)));
+  const goalNames = new Map(nextGoals.map(g => [g.name.toLowerCase(), g]));
+  const remap = {};
+  const milestoneRemap = new Map();
+  
+  data.goals.forEach(g => {
+    const sameName = goalNames.get(g.name.toLowerCase());
+    if (sameName) {
+      remap[g.id] = sameName;
+      // Milestones join the matching goal by name, like goals do
+      (g.milestones || []).forEach(m => {
+        const existing = sameName.milestones || [];
+        let kept = existing.find(o => o.name.toLowerCase() === m.name.toLowerCase());
+        if (!kept) {
+          const ids = new Set(existing.map(o => String(o.id)));
+          kept = { ...m, id: ids.has(String(m.id)) ? newId(ids) : m.id };
+          sameName.milestones = [...existing, kept];
+        }
+        milestoneRemap.set(`${g.id}|${m.id}`, kept.id);
+      });
+    } else {
+      const copy = { ...g, id: goalIds.has(String(g.id)) ? newId(goalIds) : g.id };
+      goalIds.add(String(copy.id));
+      nextGoals.push(copy);
+      remap[g.id] = copy;
+    }
+  });
+  
+  const knownTasks = [...nextTasks, ...nextGoals.flatMap(g => g.archivedTasks || [])];
+  const taskKeys = new Map(knownTasks.map(t => [`${t.goalId}|${t.task.toLowerCase()}`, t]));
+  const taskIds = new Set(knownTasks.map(t => String(t.id)));
+  const taskRemap = new Map();
+  const added = [];
+  data.allTasks.forEach(t => {
+    const goal = remap[t.goalId];
+    const key = `${goal.id}|${t.task.toLowerCase()}`;
+    if (taskKeys.has(key)) {
+      taskRemap.set(String(t.id), taskKeys.get(key).id);
+      return;
+    }
+    const task = {
+      ...t,
+      days: [...t.days],
+      id: taskIds.has(String(t.id)) ? newId(taskIds) : t.id,
+      goalId: goal.id,
+      goal: goal.name
+    };
+    if (milestoneRemap.has(`${t.goalId}|${t.milestoneId}`)) task.milestoneId = milestoneRemap.get(`${t.goalId}|${t.milestoneId}`);
+    taskIds.add(String(task.id));
+    taskKeys.set(key, task);
+    taskRemap.set(String(t.id), task.id);
+    // A goal archived here keeps new tasks with its archived ones instead of planning them
+    if (goal.archivedAt) goal.archivedTasks = [...(goal.archivedTasks || []), task];
+    else nextTasks.push(task);
+    added.push(task);
+  });
+  // Prerequisites follow their task to whatever id it ended up with
+  added.forEach(t => {
+    if (t.dependsOn != null) t.dependsOn = taskRemap.get(String(t.dependsOn));
+  });
+  
+  // Sessions of weeks this plan doesn't have yet point at the merged goals and tasks; a session
+  // whose task is no longer in the file keeps its id unless that id is taken here
+  const sessionId = id => {
+    if (!taskRemap.has(String(id))) taskRemap.set(String(id), taskIds.has(String(id)) ? newId(taskIds) : id);
+    return taskRemap.get(String(id));
+  };
+  const remapSession = e => {
+    const goal = remap[e.goalId];
+    const session = { ...e, id: sessionId(e.id), goalId: goal.id, goal: goal.name };
+    if (e.milestoneId != null) session.milestoneId = milestoneRemap.get(`${e.goalId}|${e.milestoneId}`) ?? e.milestoneId;
+    if (e.dependsOn != null) session.dependsOn = sessionId(e.dependsOn);
+    return session;
+  };
+  const remapDays = days => Object.fromEntries(Object.entries(days).map(([d, list]) => [d, list.map(remapSession)]));
+  const nextWeekPlans = { ...weekPlans };
+  Object.entries(data.weekPlans || {}).forEach(([weekOf, plan]) => {
+    if (!nextWeekPlans[weekOf]) nextWeekPlans[weekOf] = { ...plan, table: remapDays(plan.table), overflow: remapDays(plan.overflow) };
+  });
+  
+  goals = nextGoals;
+  allTasks = nextTasks;
+  weekPlans = nextWeekPlans;
+  weeklyPlan = weekPlans[viewedWeek] || null;
+  
+  const commitmentIds = new Set(commitments.map(c => c.id));
+  commitments = [...commitments, ...(data.commitments || []).filter(c => !commitmentIds.has(c.id))];
+  
+  const weeks = new Set(weekHistory.map(w => w.weekOf));
+  weekHistory = [...weekHistory, ...(data.weekHistory || []).filter(w => !weeks.has(w.weekOf))]
+    .sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+  
+  ["reward", "punishment", "focusTask"].forEach(field => {
+    const input = document.getElementById(field);
+    if (!input.value && data[field]) input.value = data[field];
+  });
+  ["reward", "punishment"].forEach(side => {
+    if (accountabilityRules[side].length === 0 && data.rules) accountabilityRules[side] = data.rules[side];
+  });
+  
+  const judged = new Set(verdicts.map(v => v.weekOf));
+  verdicts = [...verdicts, ...(data.verdicts || []).filter(v => !judged.has(v.weekOf))]
+    .sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+  
+  const templateIds = new Set(userTemplates.map(t => String(t.id)));
+  userTemplates = [...userTemplates, ...(data.templates || []).filter(t => !templateIds.has(String(t.id)))];
+  taskDrafts = {};
+  return true;
+}
+
+function resetPlanner() {
+  if (confirm("Are you sure you want to start over? This will clear all your current goals and tasks.")) {
+    stopFocusSession();
+    // Progress made so far stays in the history
+    const thisWeek = currentWeekOf();
+    Object.values(weekPlans).filter(p => p.weekOf <= thisWeek).forEach(archiveWeek);
+    goals = [];
+    allTasks = [];
+    weekPlans = {};
+    weeklyPlan = null;
+    taskDrafts = {};
+    accountabilityRules = { reward: [], punishment: [] };
+    
+    document.getElementById("goalInput").value = "";
+    document.getElementById("reward").value = "";
+    document.getElementById("punishment").value = "";
+    document.getElementById("focusTask").value = "";
+    document.getElementById("mainDay").value = "Monday";
+    document.getElementById("mood").value = "normal";
+    document.getElementById("breakMinutes").value = 10;
+    availability = defaultAvailability();
+    renderAll();
+    saveProgress("start over");
+    
+    slide = 1;
+    updateUI();
+    showNotification("Planner reset. Starting fresh!", "info", UNDO_ACTION);
+  }
+}
+
+function printPlan() {
+  window.print();
+}
+
+/* ==================== SHARE LINKS ==================== */
+// A share link carries the week itself in its #fragment, so nothing is uploaded and
+// opening it needs no server. "1." marks deflate-compressed data, "0." plain JSON
+// from browsers without CompressionStream.
+const SHARE_PREFIX = "#share=";
+
+let sharedPlan = null; // the week opened from a link
+let pendingTemplate = null; // a shared week to offer as a template once someone logs in
+
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return fromBase64(base64 + "=".repeat((4 - base64.length % 4) % 4));
+}
+
+// Runs bytes through a CompressionStream or DecompressionStream
+async function streamBytes(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  // Damaged input surfaces as a read error below
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  
+  const chunks = [];
+  const reader = transform.readable.getReader();
+  for (let part = await reader.read(); !part.done; part = await reader.read()) chunks.push(part.value);
+  
+  const result = new Uint8Array(chunks.reduce((length, c) => length + c.length, 0));
+  chunks.reduce((offset, c) => {
+    result.set(c, offset);
+    return offset + c.length;
+  }, 0);
+  return result;
+}
+
+async function encodeShare(payload) {
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "undefined") return "0." + toBase64Url(json);
+  return "1." + toBase64Url(await streamBytes(json, new CompressionStream("deflate-raw")));
+}
+
+// Throws if the link was cut short, edited, or made by an incompatible version
+async function decodeShare(text) {
+  const [format, data = ""] = text.split(".");
+  let bytes = fromBase64Url(data);
+  if (format === "1") bytes = await streamBytes(bytes, new DecompressionStream("deflate-raw"));
+  else if (format !== "0") throw new Error(`Unknown share format "${format}"`);
+  return readSharePayload(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+// One path for every dark module, inside the 4-module quiet zone scanners need
+function qrSVG({ size, modules }) {
+  const full = size + 8;
+  const path = modules.flatMap((row, y) => row.map((dark, x) => dark ? `M${x + 4} ${y + 4}h1v1h-1z` : "")).join("");
+  return html`
+    <svg class="qr-code" viewBox="0 0 ${full} ${full}" role="img" aria-label="QR code of the share link" shape-rendering="crispEdges">
+      <rect width="${full}" height="${full}" fill="#fff"/>
+      <path d="${path}" fill="#000"/>
+    </svg>
+  `;
+}
+
+function openShareDialog() {
+  if (!weeklyPlan) {
+    showNotification("Plan this week first, then share it", "error");
+    return;
+  }
+  document.getElementById("shareDialog").classList.add("open");
+  return updateShareLink();
+}
+
+async function updateShareLink() {
+  const payload = sharePayload(weeklyPlan, {
+    name: currentUser.name,
+    goals,
+    availability,
+    weekStart: weekStartDay,
+    includeStakes: document.getElementById("shareStakes").checked
+  });
+  const link = location.href.split("#")[0] + SHARE_PREFIX + await encodeShare(payload);
+  document.getElementById("shareLink").value = link;
+  
+  let qr = null;
+  try {
+    qr = QRCode.encode(link);
+  } catch {
+    // Too long for the largest QR code; the link itself still works
+  }
+  render(document.getElementById("shareQR"), qr
+    ? qrSVG(qr)
+    : html`<p class="share-qr-note">This week has too much in it for a QR code. Send the link instead.</p>`);
+}
+
+async function copyShareLink() {
+  const input = document.getElementById("shareLink");
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showNotification("Share link copied!", "success");
+  } catch {
+    input.select();
+    showNotification("Press Ctrl+C to copy the selected link", "info");
+  }
+}
+
+function closeShareDialog() {
+  document.getElementById("shareDialog").classList.remove("open");
+}
+
+async function openSharedLink() {
+  if (!location.hash.startsWith(SHARE_PREFIX)) return;
+  
+  try {
+    sharedPlan = await decodeShare(location.hash.slice(SHARE_PREFIX.length));
+  } catch (error) {
+    console.error("Share link error:", error);
+    showNotification("This share link is damaged or incomplete", "error");
+    return;
+  }
+  
+  renderSharedPlan();
+  slide = SHARED_SLIDE;
+  updateUI();
+}
+
+function renderSharedPlan() {
+  const shared = sharedPlan;
+  const days = PlannerCore.weekDays(shared.weekStart);
+  const start = fromISODate(shared.weekOf);
+  const sessions = days.flatMap(d => shared.table[d]);
+  const done = sessions.filter(t => t.completed).length;
+  
+  document.getElementById("sharedTitle").textContent = `👀 ${shared.name}'s Week`;
+  document.getElementById("sharedSummary").textContent =
+    `${formatShortDate(start)} – ${formatShortDate(addDays(start, 6))} ${addDays(start, 6).getFullYear()} · ${done}/${sessions.length} sessions done`;
+  
+  // Left out of the link unless the sharer chose to include them
+  document.getElementById("sharedStakes").hidden = shared.reward === undefined;
+  [["reward", "sharedReward"], ["punishment", "sharedPunishment"]].forEach(([side, id]) => {
+    document.getElementById(id).textContent = shared[side] || "-";
+    render(document.getElementById(`${id}Status`), (shared.rules?.[side] || []).map(rule => {
+      const actual = measureRule(rule.metric, shared);
+      return html`<li class="${ruleMet(rule, actual) ? 'met' : ''}">if ${ruleText(rule)} · now ${actual}</li>`;
+    }));
+  });
+  
+  renderTimetable(shared.table, shared.overflow, shared.focusTask, shared.weekOf, {
+    grid: document.getElementById("sharedTable"),
+    overflowEl: document.getElementById("sharedOverflow"),
+    days,
+    windows: shared.availability,
+    readOnly: true
+  });
+  render(document.getElementById("sharedLegend"), shared.goals.map(g => html`
+    <div class="legend-item">
+      <span class="legend-color" style="background:${g.color}"></span>
+      <span class="legend-text">${g.name}</span>
+    </div>
+  `));
+}
+
+function closeSharedPlan() {
+  sharedPlan = null;
+  history.replaceState(null, "", location.pathname + location.search);
+  slide = currentUser ? PLAN_SLIDE : 0;
+  updateUI();
+}
+
+// The partner's own profile gets the goals and tasks through the usual import dialog
+function useSharedAsTemplate() {
+  pendingTemplate = sharedPlan;
+  const signedIn = Boolean(currentUser);
+  closeSharedPlan();
+  if (signedIn) {
+    offerPendingTemplate();
+  } else {
+    showNotification("Log in or create a profile to copy this plan", "info");
+  }
+}
+
+function offerPendingTemplate() {
+  if (!pendingTemplate) return;
+  const data = templateFromShare(pendingTemplate);
+  const fileName = `${pendingTemplate.name}'s shared week`;
+  pendingTemplate = null;
+  showImportReport({ fileName, errors: validatePlan(data), notes: [], data });
+}
+
+/* ==================== TEMPLATES ==================== */
+// Built-in templates come from core.js; the ones a student saves or imports live in their plan
+let userTemplates = [];
+
+function findTemplate(id) {
+  return [...BUILT_IN_TEMPLATES, ...userTemplates].find(t => String(t.id) === id);
+}
+
+function templateIds() {
+  return new Set([...BUILT_IN_TEMPLATES, ...userTemplates].map(t => String(t.id)));
+}
+
+function templateCardHTML(t, own) {
+  const tasks = t.allTasks.length;
+  return html`
+    <div class="template-card" data-template-id="${t.id}">
+      <div class="template-info">
+        <strong>${t.name}</strong>
+        ${t.description ? html`<p>${t.description}</p>` : ""}
+        <div class="template-goals">
+          ${t.goals.map(g => html`<span class="template-goal" style="border-color:${g.color}">${g.name}</span>`)}
+        </div>
+        <small>${t.goals.length} goal${t.goals.length !== 1 ? 's' : ''} · ${tasks} task${tasks !== 1 ? 's' : ''}</small>
+      </div>
+      <div class="template-actions">
+        <button class="primary btn-small" data-action="apply-template">Use</button>
+        <button class="secondary btn-small" data-action="export-template">Export</button>
+        ${own ? html`<button class="secondary btn-small" data-action="delete-template">Delete</button>` : ""}
+      </div>
+    </div>
+  `;
+}
+
+function renderTemplates() {
+  render(document.getElementById("templateList"), html`
+    <h4>Built-in</h4>
+    ${BUILT_IN_TEMPLATES.map(t => templateCardHTML(t, false))}
+    <h4>Yours</h4>
+    ${userTemplates.length
+      ? userTemplates.map(t => templateCardHTML(t, true))
+      : html`<p class="template-empty">Save your current goals below, or import a template file.</p>`}
+  `);
+}
+
+function openTemplates() {
+  renderTemplates();
+  document.getElementById("templatesDialog").classList.add("open");
+}
+
+function closeTemplates() {
+  document.getElementById("templatesDialog").classList.remove("open");
+}
+
+// Adds the template's goals and tasks through the import merge, so same-named goals are joined
+function applyTemplate(id) {
+  const template = findTemplate(id);
+  if (!template) return;
+  
+  buildTasksFromDrafts();
+  if (!mergePlanData(instantiateTemplate(template, () => newId(planIds())))) return;
+  closeTemplates();
+  renderAll();
+  saveProgress(`use the "${template.name}" template`);
+  showNotification(`Added the "${template.name}" template`, "success", UNDO_ACTION);
+}
+
+function saveAsTemplate() {
+  const input = document.getElementById("templateName");
+  const name = input.value.trim();
+  if (!name) {
+    showNotification("Please name your template", "error");
+    return;
+  }
+  if (activeGoals().length === 0) {
+    showNotification("Add a goal first, then save it as a template", "error");
+    return;
+  }
+  
+  buildTasksFromDrafts();
+  userTemplates = [...userTemplates, templateFromPlan({ goals, allTasks }, { id: newId(templateIds()), name })];
+  input.value = "";
+  renderTemplates();
+  saveProgress(`save the "${name}" template`);
+  showNotification(`Saved "${name}" to your templates`, "success");
+}
+
+function deleteTemplate(id) {
+  const template = userTemplates.find(t => String(t.id) === id);
+  if (!template) return;
+  userTemplates = userTemplates.filter(t => t !== template);
+  renderTemplates();
+  saveProgress(`delete the "${template.name}" template`);
+  showNotification(`"${template.name}" deleted`, "info", UNDO_ACTION);
+}
+
+function exportTemplate(id) {
+  const template = findTemplate(id);
+  if (!template) return;
+  const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "template";
+  const fileData = { app: "ai-focus-planner", ...templateFile(template), exportDate: new Date().toISOString() };
+  downloadFile(JSON.stringify(fileData, null, 2), `focus-template-${slug}.json`, "application/json");
+}
+
+// Template files and plain plan exports both work; a plan's goals and tasks become the template
+function importTemplate(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    event.target.value = "";
+    let template;
+    try {
+      const raw = JSON.parse(e.target.result);
+      if (raw && raw.encrypted) throw new Error("it's password-protected. Import it as a plan instead");
+      template = readTemplateFile(raw, {
+        id: newId(templateIds()),
+        thisWeek: currentWeekOf(),
+        fallbackName: file.name.replace(/\.json$/i, "")
+      });
+      if (template.goals.length === 0) throw new Error("it has no goals");
+    } catch (error) {
+      showNotification(`"${file.name}" can't be used as a template: ${error.message}`, "error");
+      return;
+    }
+    
+    userTemplates = [...userTemplates, template];
+    renderTemplates();
+    saveProgress(`import the "${template.name}" template`);
+    showNotification(`Added "${template.name}" to your templates`, "success");
+  };
+  reader.readAsText(file);
+}
+
+/* ==================== CALENDAR (ICS) ==================== */
+const ICS_DAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+function escapeICSText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeICSText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, c) => c.toLowerCase() === "n" ? "\n" : c);
+}
+
+// RFC 5545 3.1: lines longer than 75 octets continue on the next line after a space
+function foldICSLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// A session ending at midnight ends at 00:00 the next day; T240000 isn't a valid time
+function icsDateTime(date, minutes) {
+  const day = addDays(date, Math.floor(minutes / (24 * 60)));
+  return toISODate(day).replace(/-/g, "") + "T" + formatTime(minutes % (24 * 60)).replace(":", "") + "00";
+}
+
+function exportCalendar() {
+  if (!weeklyPlan) {
+    showNotification("Generate a plan first", "error");
+    return;
+  }
+  
+  const repeat = document.getElementById("icsRepeat").value;
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AI Focus Planner//Weekly Plan//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Focus Plan"
+  ];
+  let events = 0;
+  
+  WEEK_DAYS.forEach((d, i) => {
+    const date = dateOfDay(weeklyPlan.weekOf, d);
+    weeklyPlan.table[d].forEach(t => {
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${t.id}-${d}@ai-focus-planner`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDateTime(date, t.start)}`,
+        `DTEND:${icsDateTime(date, t.end)}`,
+        `SUMMARY:${escapeICSText(t.task)}`,
+        `DESCRIPTION:${escapeICSText(`Goal: ${t.goal}\nEstimated: ${t.duration} mins`)}`,
+        `CATEGORIES:${escapeICSText(t.goal)}`,
+        `X-FOCUS-GOAL-COLOR:${t.color}`
+      );
+      // Only sessions fixed to this weekday recur; one-offs and floating sessions move week to week
+      if (repeat !== "1" && ["weekly", "weekdays"].includes(t.type || "weekly")) {
+        lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${ICS_DAYS[i]}${repeat === "forever" ? "" : `;COUNT=${repeat}`}`);
+      }
+      lines.push("END:VEVENT");
+      events++;
+    });
+  });
+  
+  lines.push("END:VCALENDAR");
+  
+  if (events === 0) {
+    showNotification("Your timetable has no scheduled tasks to export", "error");
+    return;
+  }
+  
+  downloadFile(lines.map(foldICSLine).join("\r\n") + "\r\n", `focus-plan-${weeklyPlan.weekOf}.ics`, "text/calendar");
+  showNotification(`Exported ${events} event${events !== 1 ? 's' : ''} to calendar file`, "success");
+}
+
+function parseICSProperties(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let event = null;
+  
+  lines.forEach(line => {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!match) return;
+    
+    const [, name, rawParams, value] = match;
+    const key = name.toUpperCase();
+    
+    if (key === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      event = {};
+    } else if (key === "END" && value.toUpperCase() === "VEVENT") {
+      if (event) events.push(event);
+      event = null;
+    } else if (event) {
+      const params = {};
+      rawParams.split(";").filter(x => x).forEach(p => {
+        const [k, v] = p.split("=");
+        params[k.toUpperCase()] = (v || "").replace(/^"|"$/g, "");
+      });
+      // EXDATE may repeat; the other properties are read once
+      if (key === "EXDATE") event.EXDATE = [...(event.EXDATE || []), { value, params }];
+      else event[key] = { value, params };
+    }
+  });
+  
+  return events;
+}
+
+// Floating and TZID times are read as local time; only UTC ("Z") values are converted
+function parseICSDate(prop) {
+  const value = prop.value.trim();
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly || prop.params.VALUE === "DATE") {
+    const [, y, m, d] = dateOnly || value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return { date: new Date(+y, m - 1, +d), allDay: true };
+  }
+  
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec, utc] = m;
+  const date = utc
+    ? new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +sec))
+    : new Date(+y, mo - 1, +d, +h, +mi, +sec);
+  return { date, allDay: false };
+}
+
+function parseICSDuration(value) {
+  const m = value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return 0;
+  const [, w, d, h, mi] = m.map(x => Number(x) || 0);
+  return ((w * 7 + d) * 24 + h) * 60 + mi;
+}
+
+// Rules the weekly model can't express; events using them are skipped and reported
+const ICS_UNSUPPORTED_RULE_PARTS = ["BYMONTH", "BYMONTHDAY", "BYYEARDAY", "BYWEEKNO", "BYSETPOS", "BYHOUR", "BYMINUTE"];
+const ICS_MAX_SPAN_DAYS = 14;
+
+function midnight(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// The part of the event on each day it touches, as [day offset, start minutes, end minutes]
+function icsDaySpans(start, end) {
+  if (start.allDay) {
+    const days = Math.min(Math.max(1, Math.round((midnight(end) - start.date) / DAY_MS)), ICS_MAX_SPAN_DAYS);
+    return Array.from({ length: days }, (_, i) => [i, 0, 24 * 60]);
+  }
+  const startMinutes = start.date.getHours() * 60 + start.date.getMinutes();
+  let endMinutes = end.getHours() * 60 + end.getMinutes();
+  let last = Math.round((midnight(end) - midnight(start.date)) / DAY_MS);
+  // Ending at midnight means the previous day is the last one
+  if (last > 0 && endMinutes === 0) {
+    last--;
+    endMinutes = 24 * 60;
+  }
+  last = Math.min(last, ICS_MAX_SPAN_DAYS - 1);
+  return Array.from({ length: last + 1 }, (_, i) => [i, i === 0 ? startMinutes : 0, i === last ? endMinutes : 24 * 60]);
+}
+
+// COUNT as the date of the last occurrence, counting weeks Monday to Monday like iCalendar
+function icsLastOccurrence(first, weekdays, interval, count) {
+  const days = [...weekdays].sort((a, b) => a - b);
+  let seen = 0;
+  for (let week = 0; ; week += interval) {
+    const monday = addDays(midnight(first), week * 7 - (first.getDay() + 6) % 7);
+    for (const i of days) {
+      const date = addDays(monday, i);
+      if (date >= midnight(first) && ++seen === count) return date;
+    }
   }
 }
 
-/* ==================== GENERATE TIMETABLE ==================== */
-async function generate() {
-  const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-  const table = {};
-  const legendMap = {};
+// Turns VEVENTs into per-day busy blocks; weekly/daily RRULEs become repeating blocks.
+// Returns the blocks and how many events used a repeat rule that can't be represented.
+function eventsToCommitments(events) {
+  const result = [];
+  let skipped = 0;
   
-  days.forEach(d => table[d] = []);
-  
-  // Collect tasks per day
-  allTasks.forEach((t, i) => {
-    if (t.deleted) return;
+  events.forEach(ev => {
+    if (!ev.DTSTART) return;
+    const start = parseICSDate(ev.DTSTART);
+    if (!start) return;
     
-    const color = document.getElementById("color" + i)?.value || t.color;
-    t.color = color;
+    let end = ev.DTEND ? parseICSDate(ev.DTEND)?.date : null;
+    if (!end && ev.DURATION) end = new Date(start.date.getTime() + parseICSDuration(ev.DURATION.value) * 60000);
+    if (!end) end = start.allDay ? addDays(start.date, 1) : start.date;
     
-    if (!legendMap[t.goal]) legendMap[t.goal] = color;
+    const title = ev.SUMMARY ? unescapeICSText(ev.SUMMARY.value) : "Busy";
+    const uid = ev.UID ? ev.UID.value : `${title}-${start.date.getTime()}`;
+    const rrule = {};
+    (ev.RRULE?.value || "").split(";").filter(x => x).forEach(part => {
+      const [k, v] = part.split("=");
+      rrule[k.toUpperCase()] = v;
+    });
+    const interval = Math.max(1, parseInt(rrule.INTERVAL, 10) || 1);
     
-    days.forEach(d => {
-      const checkbox = document.getElementById(i + d);
-      if (checkbox && checkbox.checked) {
-        table[d].push({ ...t, index: i });
-      }
+    const block = (offset, from, to) => ({
+      uid,
+      title,
+      start: formatTime(from),
+      end: to === 24 * 60 ? "24:00" : formatTime(to),
+      date: toISODate(addDays(start.date, offset))
+    });
+    
+    if (!ev.RRULE) {
+      icsDaySpans(start, end).forEach(([offset, from, to]) => {
+        const date = addDays(start.date, offset);
+        result.push({
+          ...block(offset, from, to),
+          id: `${uid}-${toISODate(date)}`,
+          day: WEEK_DAYS[(date.getDay() + 6) % 7],
+          until: null,
+          weekly: false
+        });
+      });
+      return;
+    }
+    
+    const weeklyRule = rrule.FREQ === "WEEKLY" || (rrule.FREQ === "DAILY" && interval === 1);
+    if (!weeklyRule || ICS_UNSUPPORTED_RULE_PARTS.some(part => rrule[part])) {
+      skipped++;
+      return;
+    }
+    
+    const weekdays = (rrule.BYDAY
+      ? rrule.BYDAY.split(",").map(x => ICS_DAYS.indexOf(x.slice(-2)))
+      : rrule.FREQ === "DAILY" ? [0, 1, 2, 3, 4, 5, 6] : [(start.date.getDay() + 6) % 7]
+    ).filter(i => i >= 0);
+    if (weekdays.length === 0) {
+      skipped++;
+      return;
+    }
+    
+    const count = parseInt(rrule.COUNT, 10);
+    const lastDate = rrule.UNTIL
+      ? parseICSDate({ value: rrule.UNTIL, params: {} })?.date || start.date
+      : count > 0 ? icsLastOccurrence(start.date, weekdays, rrule.FREQ === "DAILY" ? 1 : interval, count) : null;
+    const excluded = (ev.EXDATE || []).flatMap(prop => prop.value.split(",")
+      .map(value => parseICSDate({ value: value.trim(), params: prop.params })?.date)
+      .filter(Boolean));
+    
+    // A block running past midnight repeats on the following day(s) too, shifted by the same offset
+    icsDaySpans(start, end).forEach(([offset, from, to]) => {
+      weekdays.forEach(i => result.push({
+        ...block(offset, from, to),
+        id: `${uid}-${WEEK_DAYS[(i + offset) % 7]}${offset ? `-${offset}` : ""}`,
+        day: WEEK_DAYS[(i + offset) % 7],
+        until: lastDate ? toISODate(addDays(lastDate, offset)) : null,
+        weekly: true,
+        ...(interval > 1 && rrule.FREQ === "WEEKLY" && { interval }),
+        ...(excluded.length && { except: excluded.map(date => toISODate(addDays(date, offset))) })
+      }));
     });
   });
   
-  // Display reward and punishment
-  const reward = document.getElementById("reward").value || "Not specified";
-  const punishment = document.getElementById("punishment").value || "Not specified";
-  document.getElementById("rewardDisplay").textContent = reward;
-  document.getElementById("punishmentDisplay").textContent = punishment;
-  
-  // Render timetable
-  const grid = document.getElementById("table");
-  grid.innerHTML = "";
-  
-  const focusTaskName = document.getElementById("focusTask").value.trim().toLowerCase();
-  
-  days.forEach(d => {
-    const dayTasks = table[d];
-    const taskCount = dayTasks.length;
-    
-    grid.innerHTML += `
-      <div class="day-column">
-        <div class="day-header">
-          <h4>${d}</h4>
-          <span class="task-count">${taskCount} task${taskCount !== 1 ? 's' : ''}</span>
-        </div>
-        ${dayTasks.length === 0 ? 
-          '<div class="empty-day">✨ Free day</div>' : 
-          dayTasks.map(t => {
-            const isFocus = focusTaskName && t.task.toLowerCase().includes(focusTaskName);
-            return `
-              <div class="task ${isFocus ? 'focus-task' : ''}" 
-                   onclick="toggleTaskComplete(this)"
-                   style="background:${t.color}33;box-shadow:inset 6px 0 0 ${t.color};padding-left:14px;">
-                <input type="checkbox" class="task-checkbox" onclick="event.stopPropagation()">
-                <span class="task-text">${isFocus ? '⭐ ' : ''}${t.task}</span>
-              </div>
-            `;
-          }).join("")
-        }
-      </div>
-    `;
-  });
-  
-  // Render legend
-  const legend = document.getElementById("legend");
-  legend.innerHTML = Object.entries(legendMap).map(([goal, color]) => `
-    <div class="legend-item">
-      <span class="legend-color" style="background:${color}"></span>
-      <span class="legend-text">${goal}</span>
-    </div>
-  `).join("");
-  
-  // Generate AI suggestions
-  await generateAISuggestions(table, days);
+  return { commitments: result, skipped };
+}
+
+function commitmentsForDay(day, weekOf) {
+  return PlannerCore.commitmentsForDay(commitments, day, weekOf);
+}
+
+function importCalendar(event) {
+  const file = event.target.files[0];
+  if (!file) return;
   
-  weeklyPlan = { table, reward, punishment, focusTask: focusTaskName };
-  saveProgress();
-  next();
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const { commitments: imported, skipped } = eventsToCommitments(parseICSProperties(e.target.result));
+    event.target.value = "";
+    const skippedNote = skipped
+      ? ` ${skipped} event${skipped !== 1 ? 's' : ''} repeating monthly, yearly or by another rule the planner can't follow ${skipped !== 1 ? 'were' : 'was'} skipped.`
+      : "";
+    
+    if (imported.length === 0) {
+      showNotification(`No events found in calendar file.${skippedNote}`, "error");
+      return;
+    }
+    
+    const ids = new Set(imported.map(c => c.id));
+    commitments = [...commitments.filter(c => !ids.has(c.id)), ...imported];
+    renderCommitments();
+    saveProgress();
+    showNotification(`Imported ${imported.length} commitment${imported.length !== 1 ? 's' : ''}.${skippedNote}`, skipped ? "info" : "success");
+  };
+  reader.readAsText(file);
 }
 
-function toggleTaskComplete(taskEl) {
-  taskEl.classList.toggle('completed');
-  const checkbox = taskEl.querySelector('.task-checkbox');
-  if (checkbox) checkbox.checked = !checkbox.checked;
+function removeCommitment(id) {
+  commitments = commitments.filter(c => c.id !== id);
+  renderCommitments();
+  saveProgress();
 }
 
-/* ==================== AI SUGGESTIONS ==================== */
-async function generateAISuggestions(table, days) {
-  const suggestionEl = document.getElementById("aiSuggestion");
-  const mood = document.getElementById("mood").value;
-  const mainDay = document.getElementById("mainDay").value;
+function renderCommitments() {
+  const list = document.getElementById("commitmentsList");
+  if (commitments.length === 0) {
+    render(list, html`<small>No fixed commitments yet. Import your class or exam calendar (.ics) to plan around it.</small>`);
+    return;
+  }
   
-  suggestionEl.innerHTML = `
-    <div class="ai-loading">
-      <span class="spinner"></span>
-      <p>Analyzing your schedule and generating insights...</p>
+  const sorted = [...commitments].sort((a, b) =>
+    (a.weekly - b.weekly) || a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  render(list, sorted.map(c => html`
+    <div class="commitment-item">
+      <span class="commitment-when">${c.weekly ? html`Every ${c.day}` : html`${c.day} ${c.date}`} · ${c.start}–${c.end}</span>
+      <span class="commitment-title">${c.title}</span>
+      <button class="delete" data-commitment-id="${c.id}" title="Remove">✕</button>
     </div>
-  `;
-  
-  const workloadData = days.map(d => ({
-    day: d,
-    taskCount: table[d].length,
-    tasks: table[d].map(t => t.task)
-  }));
-  
-  try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 2000,
-        messages: [{
-          role: "user",
-          content: `You are a student productivity coach. Analyze this weekly schedule and provide actionable insights.
+  `));
+}
 
-Weekly Schedule:
-${workloadData.map(d => `${d.day}: ${d.taskCount} tasks - ${d.tasks.join(', ') || 'None'}`).join('\n')}
+/* ==================== COMMAND PALETTE ==================== */
+const WIZARD_STEPS = [[1, "main focus day"], [2, "goals"], [3, "tasks"], [4, "scheduling"], [5, "motivation"]];
+const PALETTE_LIMIT = 50;
+let paletteCommands = [];
+let paletteMatches = [];
+let paletteIndex = 0;
+let returnFocus = null; // what had focus before the palette or shortcuts list opened
 
-Main Focus Day: ${mainDay}
-Current Mood/Energy: ${mood}
+// Shortcuts stay out of the way while typing, except the ones with Ctrl/⌘
+function isTyping(target) {
+  return Boolean(target.matches?.("textarea, select, [contenteditable='true'], input:not([type='checkbox']):not([type='radio'])"));
+}
 
-Provide 3-5 specific, actionable suggestions to optimize this schedule. Consider:
-- Workload balance across days
-- Task distribution based on energy levels (${mood})
-- Break recommendations
-- Priority adjustments
-- Time management tips
+function goToSlide(n) {
+  // Leaving the tasks step by a jump still turns what was typed there into tasks
+  if (slide === 3 && n > 3) {
+    buildTasksFromDrafts();
+    renderBatch();
+    recordChange("update tasks");
+  }
+  saveProgress();
+  slide = n;
+  updateUI();
+}
 
-Format as bullet points, be concise and encouraging.`
-        }]
-      })
-    });
+// The same buttons a click would press, so each step's checks still run
+function stepForward() {
+  document.querySelector(".slide.active .nav .primary")?.click();
+}
 
-    const data = await response.json();
-    const suggestions = data.content[0].text.trim();
-    
-    suggestionEl.innerHTML = `
-      <div class="ai-suggestions-content">
-        <h4>📊 Workload Analysis</h4>
-        <div class="workload-summary">
-          ${workloadData.map(d => `
-            <div class="workload-item ${d.taskCount === 0 ? 'empty' : d.taskCount > 3 ? 'heavy' : ''}">
-              <span class="day-label">${d.day}</span>
-              <span class="task-count-badge">${d.taskCount}</span>
-            </div>
-          `).join('')}
-        </div>
-        
-        <h4 style="margin-top:20px">💡 AI Recommendations</h4>
-        <div class="suggestions-text">
-          ${suggestions.split('\n').map(line => 
-            line.trim() ? `<p>${line}</p>` : ''
-          ).join('')}
-        </div>
-      </div>
-    `;
-    
-  } catch (error) {
-    console.error('AI suggestions failed:', error);
-    suggestionEl.innerHTML = `
-      <div class="ai-suggestions-content">
-        <h4>📊 Workload Summary</h4>
-        <div class="workload-summary">
-          ${workloadData.map(d => `
-            <div class="workload-item ${d.taskCount === 0 ? 'empty' : d.taskCount > 3 ? 'heavy' : ''}">
-              <span class="day-label">${d.day}</span>
-              <span class="task-count-badge">${d.taskCount}</span>
-            </div>
-          `).join('')}
-        </div>
-        <p style="margin-top:15px;opacity:0.8">
-          💡 Balance your tasks across the week. Heavy days (${workloadData.filter(d => d.taskCount > 3).map(d => d.day).join(', ') || 'none'}) might need breaks or task redistribution.
-        </p>
-      </div>
-    `;
-  }
+function stepBack() {
+  document.querySelector(".slide.active .nav [id^='back']")?.click();
 }
 
-/* ==================== DATA PERSISTENCE ==================== */
-function saveProgress() {
-  if (!currentUser) return;
-  
-  const planData = {
-    goals,
-    allTasks,
-    mainDay: document.getElementById("mainDay")?.value,
-    reward: document.getElementById("reward")?.value,
-    punishment: document.getElementById("punishment")?.value,
-    mood: document.getElementById("mood")?.value,
-    focusTask: document.getElementById("focusTask")?.value,
-    lastSaved: new Date().toISOString()
-  };
-  
-  localStorage.setItem(`plan_${currentUser.pin}`, JSON.stringify(planData));
+function inWizard() {
+  return slide > 0 && slide < PLAN_SLIDE;
 }
 
-function loadSavedPlan() {
-  if (!currentUser) return;
-  
-  const saved = localStorage.getItem(`plan_${currentUser.pin}`);
-  if (!saved) return;
+function markSessionDone(taskId, day) {
+  goToSlide(PLAN_SLIDE);
+  const taskEl = document.querySelector(`#table .task[data-task-id="${taskId}"][data-day="${day}"]`);
+  if (!taskEl) return;
+  if (!taskEl.classList.contains("completed")) toggleTaskComplete(taskEl);
+  focusTimetableTask(taskEl);
+}
+
+function paletteCommandList() {
+  const commands = [
+    { label: "Add goal", group: "Goals", run: () => {
+      goToSlide(2);
+      document.getElementById("goalInput").focus();
+    } },
+    { label: "Templates", group: "Goals", run: openTemplates },
+    ...WIZARD_STEPS.map(([n, name]) => ({ label: `Go to ${name}`, group: "Go to", run: () => goToSlide(n) })),
+    ...(inWizard() ? [
+      { label: "Next step", group: "Go to", run: stepForward },
+      ...(slide > 1 ? [{ label: "Previous step", group: "Go to", run: stepBack }] : [])
+    ] : []),
+    { label: "Jump to timetable", group: "Go to", run: () => goToSlide(PLAN_SLIDE) },
+    { label: "Statistics", group: "Go to", run: showStats },
+    { label: "Export plan", group: "File", run: exportPlan },
+    { label: "Import plan", group: "File", run: () => document.getElementById("importFile").click() },
+    { label: "Export calendar (.ics)", group: "File", run: exportCalendar },
+    { label: "Import calendar (.ics)", group: "File", run: () => document.getElementById("importIcsFile").click() },
+    { label: "Share this week", group: "Plan", run: openShareDialog },
+    { label: "Print plan", group: "Plan", run: printPlan },
+    { label: "Undo", group: "Edit", run: undo },
+    { label: "Redo", group: "Edit", run: redo },
+    { label: "Keyboard shortcuts", group: "Help", run: openShortcuts },
+    { label: "Log out", group: "Account", run: logout }
+  ];
   
-  try {
-    const planData = JSON.parse(saved);
-    goals = planData.goals || [];
-    allTasks = planData.allTasks || [];
-    
-    if (planData.mainDay) document.getElementById("mainDay").value = planData.mainDay;
-    if (planData.reward) document.getElementById("reward").value = planData.reward;
-    if (planData.punishment) document.getElementById("punishment").value = planData.punishment;
-    if (planData.mood) document.getElementById("mood").value = planData.mood;
-    if (planData.focusTask) document.getElementById("focusTask").value = planData.focusTask;
-    
-    showNotification("Previous plan loaded!", "success");
-  } catch (error) {
-    console.error("Failed to load plan:", error);
+  // Every session of the week on screen can be ticked off or focused on by name
+  if (weeklyPlan) {
+    weekDays().forEach(d => weeklyPlan.table[d].forEach(t => {
+      const when = `${d} ${formatTime(t.start)}`;
+      if (!t.completed) commands.push({ label: `Mark done: ${t.task}`, group: when, run: () => markSessionDone(t.id, d) });
+      commands.push({ label: `Start focus: ${t.task}`, group: when, run: () => {
+        goToSlide(PLAN_SLIDE);
+        startFocusSession(t.id, d);
+      } });
+    }));
   }
+  return commands;
 }
 
-/* ==================== EXPORT/IMPORT ==================== */
-function exportPlan() {
-  if (!currentUser) {
-    showNotification("Please login first", "error");
-    return;
-  }
-  
-  const exportData = {
-    user: { name: currentUser.name, intent: currentUser.intent },
-    goals,
-    allTasks,
-    mainDay: document.getElementById("mainDay").value,
-    reward: document.getElementById("reward").value,
-    punishment: document.getElementById("punishment").value,
-    mood: document.getElementById("mood").value,
-    focusTask: document.getElementById("focusTask").value,
-    exportDate: new Date().toISOString()
-  };
+// Every word typed has to appear in the command or its group, in any order
+function renderPalette() {
+  const words = document.getElementById("paletteInput").value.toLowerCase().split(/\s+/).filter(Boolean);
+  paletteMatches = paletteCommands
+    .filter(c => words.every(w => `${c.label} ${c.group}`.toLowerCase().includes(w)))
+    .slice(0, PALETTE_LIMIT);
+  paletteIndex = Math.min(paletteIndex, Math.max(paletteMatches.length - 1, 0));
   
-  const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `focus-plan-${new Date().toISOString().split('T')[0]}.json`;
-  a.click();
-  URL.revokeObjectURL(url);
+  render(document.getElementById("paletteList"), paletteMatches.length === 0
+    ? html`<li class="palette-empty">No matching commands</li>`
+    : paletteMatches.map((c, i) => html`
+      <li id="paletteOption${i}" class="palette-option ${i === paletteIndex ? 'selected' : ''}" role="option"
+          aria-selected="${i === paletteIndex}" data-index="${i}">
+        <span>${c.label}</span>
+        <small>${c.group}</small>
+      </li>
+    `));
   
-  showNotification("Plan exported successfully!", "success");
+  const input = document.getElementById("paletteInput");
+  if (paletteMatches.length) input.setAttribute("aria-activedescendant", `paletteOption${paletteIndex}`);
+  else input.removeAttribute("aria-activedescendant");
+  document.getElementById(`paletteOption${paletteIndex}`)?.scrollIntoView({ block: "nearest" });
 }
 
-function importPlan(event) {
-  const file = event.target.files[0];
-  if (!file) return;
-  
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const data = JSON.parse(e.target.result);
-      
-      goals = data.goals || [];
-      allTasks = data.allTasks || [];
-      
-      if (data.mainDay) document.getElementById("mainDay").value = data.mainDay;
-      if (data.reward) document.getElementById("reward").value = data.reward;
-      if (data.punishment) document.getElementById("punishment").value = data.punishment;
-      if (data.mood) document.getElementById("mood").value = data.mood;
-      if (data.focusTask) document.getElementById("focusTask").value = data.focusTask;
-      
-      renderGoals();
-      saveProgress();
-      showNotification("Plan imported successfully!", "success");
-      
-    } catch (error) {
-      showNotification("Invalid file format", "error");
-      console.error('Import error:', error);
-    }
-  };
-  reader.readAsText(file);
+function openPalette() {
+  returnFocus = document.activeElement;
+  paletteCommands = paletteCommandList();
+  paletteIndex = 0;
+  const input = document.getElementById("paletteInput");
+  input.value = "";
+  renderPalette();
+  document.getElementById("paletteDialog").classList.add("open");
+  input.focus();
 }
 
-function resetPlanner() {
-  if (confirm("Are you sure you want to start over? This will clear all your current goals and tasks.")) {
-    goals = [];
-    allTasks = [];
-    
-    document.getElementById("goalInput").value = "";
-    document.getElementById("reward").value = "";
-    document.getElementById("punishment").value = "";
-    document.getElementById("focusTask").value = "";
-    document.getElementById("mainDay").value = "Monday";
-    document.getElementById("mood").value = "normal";
-    
-    slide = 1;
-    renderGoals();
-    updateUI();
-    showNotification("Planner reset. Starting fresh!", "info");
+function closePalette() {
+  document.getElementById("paletteDialog").classList.remove("open");
+  restoreFocus();
+}
+
+function restoreFocus() {
+  if (returnFocus?.isConnected && returnFocus !== document.body) returnFocus.focus();
+  returnFocus = null;
+}
+
+function runPaletteCommand(index) {
+  const command = paletteMatches[index];
+  if (!command) return;
+  closePalette();
+  command.run();
+}
+
+function handlePaletteKey(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!paletteMatches.length) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    paletteIndex = (paletteIndex + step + paletteMatches.length) % paletteMatches.length;
+    renderPalette();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteCommand(paletteIndex);
   }
 }
 
-function printPlan() {
-  window.print();
+function openShortcuts() {
+  returnFocus = returnFocus || document.activeElement;
+  document.getElementById("shortcutsDialog").classList.add("open");
+  document.getElementById("shortcutsCloseBtn").focus();
+}
+
+function closeShortcuts() {
+  document.getElementById("shortcutsDialog").classList.remove("open");
+  restoreFocus();
+}
+
+function handleShortcutKey(e) {
+  const paletteOpen = document.getElementById("paletteDialog").classList.contains("open");
+  const shortcutsOpen = document.getElementById("shortcutsDialog").classList.contains("open");
+  const mod = e.ctrlKey || e.metaKey;
+  
+  if (e.key === "Escape") {
+    if (paletteOpen) closePalette();
+    else if (shortcutsOpen) closeShortcuts();
+    return;
+  }
+  if (!currentUser || slide === SHARED_SLIDE) return;
+  
+  if (mod && !e.altKey && e.key.toLowerCase() === "k") {
+    e.preventDefault();
+    if (paletteOpen) closePalette();
+    else openPalette();
+  } else if (paletteOpen || shortcutsOpen) {
+    return;
+  } else if (mod && e.key === "Enter" && inWizard()) {
+    e.preventDefault();
+    if (e.shiftKey) stepBack();
+    else stepForward();
+  } else if (e.key === "?" && !mod && !isTyping(e.target)) {
+    e.preventDefault();
+    openShortcuts();
+  }
 }
 
 /* ==================== EVENT LISTENERS ==================== */
@@ -714,12 +4519,41 @@ document.getElementById("loginBtn").addEventListener("click", loginUser);
 document.getElementById("backToAuth1").addEventListener("click", backToAuth);
 document.getElementById("backToAuth2").addEventListener("click", backToAuth);
 document.getElementById("logoutBtn").addEventListener("click", logout);
+document.getElementById("userPicker").addEventListener("click", (e) => {
+  const chip = e.target.closest(".user-chip");
+  if (chip) selectUser(chip.dataset.userId);
+});
+document.getElementById("loginPin").addEventListener("keypress", (e) => {
+  if (e.key === "Enter") loginUser();
+});
+["userName", "userIntent", "userPin"].forEach(id => {
+  document.getElementById(id).addEventListener("keypress", (e) => {
+    if (e.key === "Enter") registerUser();
+  });
+});
 
 document.getElementById("addGoalBtn").addEventListener("click", addGoal);
 document.getElementById("goalInput").addEventListener("keypress", (e) => {
   if (e.key === "Enter") addGoal();
 });
 
+document.getElementById("templatesBtn").addEventListener("click", openTemplates);
+document.getElementById("templatesCloseBtn").addEventListener("click", closeTemplates);
+document.getElementById("templateList").addEventListener("click", (e) => {
+  const id = e.target.closest("[data-template-id]")?.dataset.templateId;
+  if (e.target.dataset.action === "apply-template") applyTemplate(id);
+  if (e.target.dataset.action === "export-template") exportTemplate(id);
+  if (e.target.dataset.action === "delete-template") deleteTemplate(id);
+});
+document.getElementById("saveTemplateBtn").addEventListener("click", saveAsTemplate);
+document.getElementById("templateName").addEventListener("keypress", (e) => {
+  if (e.key === "Enter") saveAsTemplate();
+});
+document.getElementById("importTemplateBtn").addEventListener("click", () => {
+  document.getElementById("importTemplateFile").click();
+});
+document.getElementById("importTemplateFile").addEventListener("change", importTemplate);
+
 document.getElementById("next1").addEventListener("click", next);
 document.getElementById("back1").addEventListener("click", back);
 document.getElementById("next2").addEventListener("click", next);
@@ -730,14 +4564,250 @@ document.getElementById("next4").addEventListener("click", next);
 document.getElementById("back4").addEventListener("click", back);
 document.getElementById("generateBtn").addEventListener("click", generate);
 
+document.getElementById("goals").addEventListener("click", (e) => {
+  const btn = e.target.closest(".delete[data-goal-index]");
+  if (btn) return deleteGoal(Number(btn.dataset.goalIndex));
+  
+  const box = e.target.closest("[data-index]");
+  if (!box) return;
+  const index = Number(box.dataset.index);
+  const milestoneId = e.target.closest("[data-milestone-id]")?.dataset.milestoneId;
+  if (e.target.dataset.action === "archive-goal") archiveGoal(index);
+  if (e.target.dataset.action === "restore-goal") restoreGoal(index);
+  if (e.target.dataset.action === "add-milestone") addMilestone(index);
+  if (e.target.dataset.action === "remove-milestone") removeMilestone(index, milestoneId);
+});
+document.getElementById("goals").addEventListener("change", (e) => {
+  const box = e.target.closest(".goal-box");
+  if (!box) return;
+  const index = Number(box.dataset.index);
+  const milestoneId = e.target.closest("[data-milestone-id]")?.dataset.milestoneId;
+  if (e.target.dataset.field === "name") updateGoal(index, "name", e.target.value);
+  if (e.target.dataset.field === "color") updateGoal(index, "color", e.target.value);
+  if (e.target.dataset.field === "milestone-name") updateMilestone(index, milestoneId, "name", e.target.value);
+  if (e.target.dataset.field === "milestone-date") updateMilestone(index, milestoneId, "targetDate", e.target.value);
+});
+document.getElementById("goals").addEventListener("keydown", (e) => {
+  const box = e.target.closest(".goal-box");
+  if (!box) return;
+  const index = Number(box.dataset.index);
+  
+  if (e.key === "Enter" && e.target.classList.contains("milestone-input")) {
+    addMilestone(index);
+  } else if (e.target.classList.contains("drag-handle") && e.altKey && ["ArrowUp", "ArrowDown"].includes(e.key)) {
+    // Keyboard alternative to dragging: Alt+↑/↓ swaps with the neighbouring planned goal
+    e.preventDefault();
+    const boxes = [...document.querySelectorAll("#goals .goal-box")];
+    const neighbour = boxes[boxes.indexOf(box) + (e.key === "ArrowUp" ? -1 : 1)];
+    if (!neighbour) return;
+    moveGoal(index, Number(neighbour.dataset.index));
+    document.querySelector(`#goals .goal-box[data-index="${neighbour.dataset.index}"] .drag-handle`)?.focus();
+  }
+});
+document.getElementById("goals").addEventListener("dragstart", (e) => {
+  const box = e.target.closest(".goal-box");
+  if (!box) return;
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", box.dataset.index);
+  e.dataTransfer.setDragImage?.(box, 20, 20);
+  box.classList.add("dragging");
+});
+document.getElementById("goals").addEventListener("dragover", (e) => {
+  const box = e.target.closest(".goal-box");
+  if (!box) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  document.querySelectorAll("#goals .drag-over").forEach(el => el.classList.remove("drag-over"));
+  box.classList.add("drag-over");
+});
+document.getElementById("goals").addEventListener("drop", (e) => {
+  const box = e.target.closest(".goal-box");
+  if (!box) return;
+  e.preventDefault();
+  moveGoal(Number(e.dataTransfer.getData("text/plain")), Number(box.dataset.index));
+});
+document.getElementById("goals").addEventListener("dragend", () => {
+  document.querySelectorAll("#goals .drag-over, #goals .dragging").forEach(el => el.classList.remove("drag-over", "dragging"));
+});
+document.getElementById("tasksArea").addEventListener("click", (e) => {
+  const btn = e.target.closest(".ai-generate-btn");
+  if (btn) generateTasksWithAI(Number(btn.dataset.goalIndex));
+});
+document.getElementById("tasksArea").addEventListener("input", (e) => {
+  if (e.target.dataset.goalId) taskDrafts[e.target.dataset.goalId] = e.target.value;
+});
+document.getElementById("batchArea").addEventListener("change", (e) => {
+  const card = e.target.closest(".task-batch-box");
+  if (!card) return;
+  const id = Number(card.dataset.index);
+  if (e.target.dataset.field === "days") updateTaskDays(id);
+  if (e.target.dataset.field === "color") updateColor(id);
+  if (e.target.dataset.field === "duration") updateDuration(id);
+  if (e.target.dataset.field === "frequency") updateFrequency(id);
+  if (e.target.dataset.field === "type") updateTaskType(id);
+  if (e.target.dataset.field === "rule") updateTaskRule(id);
+  if (e.target.dataset.field === "dependsOn") updateDependency(id);
+  if (e.target.dataset.field === "milestone") updateTaskMilestone(id);
+  if (allTasks[id]) saveProgress(`edit "${allTasks[id].task}"`);
+  renderPlanWarnings();
+});
+document.getElementById("batchArea").addEventListener("keydown", handleBatchDaysKey);
+document.getElementById("batchArea").addEventListener("click", (e) => {
+  const card = e.target.closest(".task-batch-box");
+  if (card && e.target.dataset.action === "delete-task") deleteTask(Number(card.dataset.index));
+});
+document.getElementById("aiProvider").addEventListener("change", changeAIProvider);
+document.getElementById("saveAISettingsBtn").addEventListener("click", saveAISettings);
+document.getElementById("useMockAIBtn").addEventListener("click", useMockAIServer);
+document.getElementById("availabilityArea").addEventListener("change", () => {
+  readAvailability();
+  renderPlanWarnings();
+});
+document.getElementById("focusTask").addEventListener("input", renderPlanWarnings);
+document.getElementById("mood").addEventListener("change", renderPlanWarnings);
+document.getElementById("planWarnings").addEventListener("click", (e) => {
+  if (e.target.dataset.fix) applyWarningFix(Number(e.target.dataset.fix));
+});
+document.getElementById("planCheckBody").addEventListener("click", (e) => {
+  if (e.target.dataset.fix) applyWarningFix(Number(e.target.dataset.fix));
+});
+document.getElementById("planCheckBackBtn").addEventListener("click", closePlanCheck);
+document.getElementById("planCheckGenerateBtn").addEventListener("click", generateWeek);
+
+document.getElementById("table").addEventListener("click", (e) => {
+  const taskEl = e.target.closest(".task");
+  if (taskEl && e.target.dataset.action === "start-focus") {
+    startFocusSession(Number(taskEl.dataset.taskId), taskEl.dataset.day);
+    return;
+  }
+  if (taskEl) toggleTaskComplete(taskEl, e.target.classList.contains("task-checkbox"));
+  if (e.target.dataset.action === "copy-week") copyPreviousWeek();
+  if (e.target.dataset.action === "build-week") buildViewedWeek();
+});
+document.getElementById("table").addEventListener("keydown", handleTimetableKey);
+document.getElementById("table").addEventListener("focusin", (e) => {
+  if (e.target.matches(".task") && e.target.tabIndex !== 0) focusTimetableTask(e.target);
+});
+document.getElementById("table").addEventListener("dragstart", handleTimetableDragStart);
+document.getElementById("table").addEventListener("dragover", handleTimetableDragOver);
+document.getElementById("table").addEventListener("dragleave", (e) => {
+  if (!e.relatedTarget || !e.currentTarget.contains(e.relatedTarget)) clearDropHighlight();
+});
+document.getElementById("table").addEventListener("drop", handleTimetableDrop);
+document.getElementById("table").addEventListener("dragend", handleTimetableDragEnd);
+
 document.getElementById("exportBtn").addEventListener("click", exportPlan);
 document.getElementById("importBtn").addEventListener("click", () => {
   document.getElementById("importFile").click();
 });
 document.getElementById("importFile").addEventListener("change", importPlan);
+document.getElementById("importReplaceBtn").addEventListener("click", () => confirmImport("replace"));
+document.getElementById("importMergeBtn").addEventListener("click", () => confirmImport("merge"));
+document.getElementById("importCancelBtn").addEventListener("click", closeImportReport);
+document.getElementById("importUnlockBtn").addEventListener("click", unlockImport);
+document.getElementById("importReportBody").addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && e.target.id === "importPassword") unlockImport();
+});
+document.getElementById("autoDistributeBtn").addEventListener("click", autoDistribute);
+document.getElementById("distributeAcceptBtn").addEventListener("click", acceptDistribution);
+document.getElementById("distributeCancelBtn").addEventListener("click", closeDistribution);
 document.getElementById("printBtn").addEventListener("click", printPlan);
+document.getElementById("shareBtn").addEventListener("click", openShareDialog);
+document.getElementById("shareStakes").addEventListener("change", updateShareLink);
+document.getElementById("shareCopyBtn").addEventListener("click", copyShareLink);
+document.getElementById("shareCloseBtn").addEventListener("click", closeShareDialog);
+document.getElementById("sharedCloseBtn").addEventListener("click", closeSharedPlan);
+document.getElementById("sharedTemplateBtn").addEventListener("click", useSharedAsTemplate);
 document.getElementById("resetBtn").addEventListener("click", resetPlanner);
+document.getElementById("newWeekBtn").addEventListener("click", planNextWeek);
+document.getElementById("prevWeekBtn").addEventListener("click", () => shiftWeek(-1));
+document.getElementById("nextWeekBtn").addEventListener("click", () => shiftWeek(1));
+document.getElementById("thisWeekBtn").addEventListener("click", () => showWeek(currentWeekOf()));
+document.getElementById("copyWeekBtn").addEventListener("click", copyPreviousWeek);
+document.getElementById("rebuildWeekBtn").addEventListener("click", buildViewedWeek);
+document.getElementById("monthOverview").addEventListener("click", (e) => {
+  const cell = e.target.closest(".month-day");
+  if (cell) showWeek(cell.dataset.week);
+});
+document.getElementById("weekStart").addEventListener("change", changeWeekStart);
+document.getElementById("verdictCloseBtn").addEventListener("click", closeVerdicts);
+document.getElementById("statsBtn").addEventListener("click", showStats);
+document.getElementById("statsBackBtn").addEventListener("click", () => {
+  slide = PLAN_SLIDE;
+  updateUI();
+});
+document.getElementById("statsArea").addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-chart]");
+  if (!btn) return;
+  if (btn.dataset.format === "png") exportChartPNG(btn.dataset.chart);
+  else exportChartCSV(btn.dataset.chart);
+});
+["reward", "punishment"].forEach(side => {
+  const list = document.getElementById(`${side}Rules`);
+  list.addEventListener("click", (e) => {
+    const row = e.target.closest(".rule-row");
+    if (e.target.dataset.action === "add-rule") addRule(side);
+    if (row && e.target.dataset.action === "remove-rule") removeRule(side, Number(row.dataset.index));
+  });
+  list.addEventListener("change", (e) => {
+    const row = e.target.closest(".rule-row");
+    if (row) updateRule(side, Number(row.dataset.index));
+  });
+});
+document.getElementById("focusPauseBtn").addEventListener("click", toggleFocusPause);
+document.getElementById("focusSkipBtn").addEventListener("click", skipFocusPhase);
+document.getElementById("focusStopBtn").addEventListener("click", stopFocusSession);
+document.getElementById("pomodoroSettings").addEventListener("change", () => saveProgress());
+document.getElementById("reminderSettings").addEventListener("change", (e) => {
+  if (e.target.dataset.field) updateReminderSetting(e.target);
+});
+document.getElementById("historyWeek").addEventListener("change", renderHistory);
+document.getElementById("exportIcsBtn").addEventListener("click", exportCalendar);
+document.getElementById("importIcsBtn").addEventListener("click", () => {
+  document.getElementById("importIcsFile").click();
+});
+document.getElementById("importIcsFile").addEventListener("change", importCalendar);
+document.getElementById("commitmentsList").addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-commitment-id]");
+  if (btn) removeCommitment(btn.dataset.commitmentId);
+});
+document.getElementById("shortcutsBtn").addEventListener("click", openShortcuts);
+document.getElementById("shortcutsCloseBtn").addEventListener("click", closeShortcuts);
+document.getElementById("paletteInput").addEventListener("input", () => {
+  paletteIndex = 0;
+  renderPalette();
+});
+document.getElementById("paletteInput").addEventListener("keydown", handlePaletteKey);
+document.getElementById("paletteList").addEventListener("click", (e) => {
+  const option = e.target.closest(".palette-option");
+  if (option) runPaletteCommand(Number(option.dataset.index));
+});
+document.getElementById("paletteDialog").addEventListener("click", (e) => {
+  if (e.target.id === "paletteDialog") closePalette();
+});
+document.addEventListener("keydown", handleUndoKey);
+document.addEventListener("keydown", handleShortcutKey);
 /* ==================== INITIALIZATION ==================== */
-updateUI();
+initStorage()
+  .then(migrateLegacyUser)
+  .then(() => {
+    renderAISettings();
+    renderAll();
+    updateUI();
+    return openSharedLink();
+  });
+window.addEventListener("hashchange", openSharedLink);
+
+setInterval(checkReminders, REMINDER_CHECK_MS);
+document.addEventListener("visibilitychange", () => {
+  if (!document.hidden) checkReminders();
+});
+
+// Offline support needs a real origin; opening index.html from disk skips it
+if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+  navigator.serviceWorker.register("sw.js").catch(error => {
+    console.error("Service worker registration failed:", error);
+  });
+}
 
 });
@@ -0,0 +1,74 @@
+/* ==================== SERVICE WORKER ====================
+ * Caches the app shell so the planner opens and works offline, and
+ * shows task reminders so a click on one can reopen the planner.
+ * Same-origin files are served from the cache and refreshed in the
+ * background; everything else (the AI providers) goes straight to the network.
+ * Bump CACHE_VERSION whenever the list of shell files changes.
+ */
+const CACHE_VERSION = "v3";
+const CACHE_NAME = `focus-planner-${CACHE_VERSION}`;
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "core.js",
+  "qr.js",
+  "script.js",
+  "style.css",
+  "manifest.webmanifest",
+  "icon.svg"
+];
+
+/* ==================== LIFECYCLE ==================== */
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ==================== FETCH ==================== */
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async cache => {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      const refresh = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached || cache.match("index.html"));
+      
+      if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+      }
+      return refresh;
+    })
+  );
+});
+
+/* ==================== NOTIFICATIONS ==================== */
+// Clicking a task reminder brings the planner forward, opening it if it was closed
+self.addEventListener("notificationclick", event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then(windows => {
+      const open = windows.find(client => client.url.startsWith(self.registration.scope));
+      return open ? open.focus() : self.clients.openWindow(event.notification.data?.url || "./");
+    })
+  );
+});
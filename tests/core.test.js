@@ -0,0 +1,460 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const WEEK = "2026-10-19"; // a Monday
+
+function task(fields) {
+  return { id: fields.task, goalId: 1, days: [], duration: 45, effort: 3, type: "weekly", ...fields };
+}
+
+function weekData(allTasks, extra = {}) {
+  return { allTasks, goals: [{ id: 1, name: "Math" }], availability: core.defaultAvailability(), weekPlans: {}, ...extra };
+}
+
+/* ==================== TASK PARSING ==================== */
+test("parseTaskLines strips bullets and drops blank lines", () => {
+  assert.deepEqual(
+    core.parseTaskLines("• Study 1 hour\n\n- Practice 30 mins\n* Flashcards\n   \nRead notes  "),
+    ["Study 1 hour", "Practice 30 mins", "Flashcards", "Read notes"]
+  );
+});
+
+test("parseDuration reads hours and minutes, with a default", () => {
+  assert.equal(core.parseDuration("Study 1 hour 30 mins"), 90);
+  assert.equal(core.parseDuration("Read 1.5 hrs"), 90);
+  assert.equal(core.parseDuration("Flashcards 2 m"), 5);
+  assert.equal(core.parseDuration("Review notes"), core.DEFAULT_TASK_MINUTES);
+});
+
+test("parseTaskRule recognises due dates, weekly counts and weekdays", () => {
+  assert.deepEqual(core.parseTaskRule("Hand in essay due 2026-10-22"), { type: "once", dueDate: "2026-10-22" });
+  assert.deepEqual(core.parseTaskRule("Practice 3x per week"), { type: "times", timesPerWeek: 3 });
+  assert.deepEqual(core.parseTaskRule("Flashcards every weekday"), { type: "weekdays" });
+  assert.deepEqual(core.parseTaskRule("Read a chapter"), { type: "weekly" });
+});
+
+test("parseTaskList accepts JSON, fenced JSON and bullet lists", () => {
+  assert.deepEqual(core.parseTaskList('{"tasks":[{"task":"Read","duration":30},"Write"]}'),
+    [{ task: "Read", duration: 30 }, { task: "Write", duration: null }]);
+  assert.deepEqual(core.parseTaskList('```json\n[{"task":" Plan ","duration":"20.4"}]\n```'),
+    [{ task: "Plan", duration: 20 }]);
+  assert.deepEqual(core.parseTaskList("Here you go:\n1. Read\n- Write\nThanks"),
+    [{ task: "Read", duration: null }, { task: "Write", duration: null }]);
+});
+
+/* ==================== SCHEDULING ==================== */
+test("buildWeekTable places sessions in the day's windows with breaks", () => {
+  const data = weekData([
+    task({ task: "Practice 30 mins", duration: 30, effort: 2, days: ["Mon"] }),
+    task({ task: "Study 1 hour", duration: 60, effort: 3, days: ["Mon"] })
+  ]);
+  const { table, overflow, skipped } = core.buildWeekTable(WEEK, data, { breakMinutes: 10 });
+
+  assert.deepEqual(table.Mon.map(t => [t.task, core.formatTime(t.start), core.formatTime(t.end)]), [
+    ["Study 1 hour", "16:00", "17:00"],
+    ["Practice 30 mins", "17:10", "17:40"]
+  ]);
+  assert.equal(table.Tue.length, 0);
+  assert.equal(overflow.Mon.length, 0);
+  assert.deepEqual(skipped, []);
+});
+
+test("buildWeekTable puts the focus task first and works around commitments", () => {
+  const data = weekData([
+    task({ task: "Study 1 hour", duration: 60, effort: 3, days: ["Tue"] }),
+    task({ task: "Practice 30 mins", duration: 30, effort: 2, days: ["Tue"] })
+  ], { commitments: [{ id: 1, title: "Class", weekly: true, day: "Tue", date: "2026-10-01", start: "16:00", end: "17:00" }] });
+  const { table } = core.buildWeekTable(WEEK, data, { focusTask: "practice", breakMinutes: 0 });
+
+  assert.deepEqual(table.Tue.map(t => [t.task, core.formatTime(t.start)]), [
+    ["Practice 30 mins", "17:00"],
+    ["Study 1 hour", "17:30"]
+  ]);
+});
+
+test("commitmentsForDay follows a biweekly interval, an end date and skipped dates", () => {
+  const lab = { id: "lab-Tue", title: "Lab", weekly: true, day: "Tue", date: "2026-10-06", start: "09:00", end: "11:00",
+    interval: 2, until: "2026-11-17", except: ["2026-11-03"] };
+  const weeks = ["2026-10-05", "2026-10-12", "2026-10-19", "2026-10-26", "2026-11-02", "2026-11-16", "2026-11-30"];
+
+  assert.deepEqual(weeks.map(weekOf => core.commitmentsForDay([lab], "Tue", weekOf).length), [1, 0, 1, 0, 0, 1, 0]);
+});
+
+test("buildWeekTable keeps checkmarks from an earlier build of the same week", () => {
+  const tasks = [task({ task: "Study 1 hour", duration: 60, days: ["Mon", "Wed"] })];
+  const first = core.buildWeekTable(WEEK, weekData(tasks)).table;
+  first.Mon[0].completed = true;
+  first.Mon[0].actualMinutes = 25;
+
+  const weekPlans = { [WEEK]: { weekOf: WEEK, table: first } };
+  const { table } = core.buildWeekTable(WEEK, weekData(tasks, { weekPlans }));
+  assert.equal(table.Mon[0].completed, true);
+  assert.equal(table.Mon[0].actualMinutes, 25);
+  assert.equal(table.Wed[0].completed, false);
+});
+
+test("buildWeekTable spreads floating tasks and skips overdue one-offs", () => {
+  const data = weekData([
+    task({ task: "Practice", type: "times", timesPerWeek: 3 }),
+    task({ task: "Old essay", type: "once", dueDate: "2026-10-12" }),
+    task({ task: "New essay", type: "once", dueDate: "2026-10-21" })
+  ]);
+  const { table, skipped } = core.buildWeekTable(WEEK, data);
+  const daysOf = name => core.WEEK_DAYS.filter(d => table[d].some(t => t.task === name));
+
+  assert.equal(daysOf("Practice").length, 3);
+  assert.equal(daysOf("New essay").length, 1);
+  assert.ok(["Mon", "Tue", "Wed"].includes(daysOf("New essay")[0]));
+  assert.deepEqual(skipped, [{ task: "Old essay", reason: "overdue since 2026-10-12" }]);
+});
+
+test("buildWeekTable overflows work that does not fit the day", () => {
+  const availability = { ...core.defaultAvailability(), Mon: [{ start: "16:00", end: "17:00" }] };
+  const data = weekData([
+    task({ task: "Study 1 hour", duration: 60, days: ["Mon"] }),
+    task({ task: "Practice 30 mins", duration: 30, effort: 2, days: ["Mon"] })
+  ], { availability });
+  const { table, overflow } = core.buildWeekTable(WEEK, data);
+
+  assert.deepEqual(table.Mon.map(t => t.task), ["Study 1 hour"]);
+  assert.deepEqual(overflow.Mon.map(t => t.task), ["Practice 30 mins"]);
+});
+
+test("weekDays and startOfWeek follow the first day of the week", () => {
+  assert.deepEqual(core.weekDays(0), ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]);
+  assert.equal(core.toISODate(core.startOfWeek(core.fromISODate("2026-10-21"))), "2026-10-19");
+  assert.equal(core.toISODate(core.startOfWeek(core.fromISODate("2026-10-21"), 0)), "2026-10-18");
+});
+
+/* ==================== WORKLOAD ==================== */
+test("proposeDistribution gives the main day the heaviest work and is deterministic", () => {
+  const tasks = [
+    task({ task: "Study 2 hours", duration: 120, effort: 5 }),
+    task({ task: "Flashcards", duration: 15, effort: 1 })
+  ];
+  const options = { mood: "normal", mainDay: "Wed", open: core.WEEK_DAYS };
+  const proposal = core.proposeDistribution(tasks, options);
+
+  assert.deepEqual(proposal.assignments, [{ index: 0, days: ["Wed"] }, { index: 1, days: ["Mon"] }]);
+  assert.deepEqual(core.proposeDistribution(tasks, options), proposal);
+  assert.equal(proposal.cap, core.DAILY_EFFORT_CAP.normal);
+});
+
+test("proposeDistribution adds extra repetitions only when not tired", () => {
+  const tasks = [task({ task: "Flashcards", duration: 15, effort: 1, minPerWeek: 1, maxPerWeek: 3 })];
+  const open = core.WEEK_DAYS;
+  assert.equal(core.proposeDistribution(tasks, { mood: "energized", mainDay: "Mon", open }).assignments[0].days.length, 3);
+  assert.equal(core.proposeDistribution(tasks, { mood: "tired", mainDay: "Mon", open }).assignments[0].days.length, 1);
+});
+
+test("workloadHeuristics flags days over the mood's effort limit", () => {
+  const table = { Mon: [{ effort: 5 }, { effort: 3 }], Tue: [{ effort: 2 }] };
+  assert.deepEqual(core.workloadHeuristics(table, "tired").heavyDays, ["Mon"]);
+  assert.deepEqual(core.workloadHeuristics(table, "energized").heavyDays, []);
+  assert.equal(core.workloadHeuristics(table, "tired").loads.Mon, 8);
+});
+
+function checkOptions(extra = {}) {
+  return { goals: [{ id: 1, name: "Math" }], mood: "normal", mainDay: "Mon", open: core.WEEK_DAYS, ...extra };
+}
+
+test("planWarnings flags tasks that never get a day and offers the lightest one", () => {
+  const tasks = [
+    task({ task: "Algebra", days: ["Mon"] }),
+    task({ task: "Geometry" }),
+    task({ task: "Proofs", days: ["Sat"] })
+  ];
+  const open = core.WEEK_DAYS.filter(d => d !== "Sat");
+  const warnings = core.planWarnings(tasks, checkOptions({ open }));
+
+  assert.deepEqual(warnings.map(w => w.kind), ["unscheduled", "unscheduled"]);
+  assert.match(warnings[0].message, /"Geometry" has no days ticked/);
+  assert.deepEqual(warnings[0].fix.assignments, [{ index: 1, days: ["Tue"] }]);
+  assert.match(warnings[1].message, /only on days you're not available/);
+});
+
+test("planWarnings reports a goal with no scheduled time once, not per task", () => {
+  const tasks = [task({ task: "Algebra", days: ["Mon"] }), task({ task: "Essay", goalId: 2 }), task({ task: "Notes", goalId: 2 })];
+  const goals = [{ id: 1, name: "Math" }, { id: 2, name: "English" }, { id: 3, name: "Art" }];
+  const warnings = core.planWarnings(tasks, checkOptions({ goals }));
+
+  assert.deepEqual(warnings.map(w => w.kind), ["goal", "goal"]);
+  assert.match(warnings[0].message, /"English" gets no time/);
+  assert.equal(warnings[0].fix.label, "Spread its 2 tasks over the week");
+  assert.deepEqual(warnings[0].fix.assignments.map(a => a.days), [["Tue"], ["Wed"]]);
+  assert.equal(warnings[1].message, '"Art" has no tasks');
+  assert.equal(warnings[1].fix, null);
+});
+
+test("planWarnings moves the biggest tasks off an overloaded day until it fits", () => {
+  const tasks = [
+    task({ task: "Past paper", days: ["Thu"], effort: 5 }),
+    task({ task: "Flashcards", days: ["Thu"], effort: 1 }),
+    task({ task: "Reading", days: ["Thu", "Mon"], effort: 3 }),
+    task({ task: "Revision", days: ["Thu"], effort: 4 })
+  ];
+  const open = ["Mon", "Thu", "Sat"];
+  const [warning] = core.planWarnings(tasks, checkOptions({ open }));
+
+  assert.equal(warning.kind, "overload");
+  assert.equal(warning.message, "Thu has 4 tasks worth 13 effort points; a normal day takes 10");
+  assert.equal(warning.fix.label, "Move 1 task from Thu to Sat");
+  assert.deepEqual(warning.fix.assignments, [{ index: 0, days: ["Sat"] }]);
+  assert.deepEqual(core.planWarnings(tasks, checkOptions({ open, mood: "energized" })).map(w => w.kind), ["overload"]);
+  assert.deepEqual(core.planWarnings(tasks, checkOptions({ open: core.WEEK_DAYS, mood: "tired" }))[0].fix.assignments.length, 2);
+});
+
+test("planWarnings suggests a task for a focus task that matches nothing", () => {
+  const tasks = [task({ task: "Algebra practice", days: ["Mon"] }), task({ task: "Physics lab report", days: ["Tue"] })];
+
+  assert.deepEqual(core.planWarnings(tasks, checkOptions({ focusTask: "algebra" })), []);
+  const [warning] = core.planWarnings(tasks, checkOptions({ focusTask: "Finish lab report" }));
+  assert.equal(warning.kind, "focus");
+  assert.deepEqual(warning.fix, { label: 'Use "Physics lab report"', assignments: [], focusTask: "Physics lab report" });
+  assert.equal(core.planWarnings(tasks, checkOptions({ focusTask: "Chemistry" }))[0].fix.focusTask, "");
+});
+
+/* ==================== PLAN FORMAT ==================== */
+test("serializePlan output passes validatePlan and survives a JSON round trip", () => {
+  const allTasks = [task({ id: 1, task: "Study 1 hour", duration: 60, days: ["Mon"] })];
+  const weekPlans = {};
+  const built = core.buildWeekTable(WEEK, weekData(allTasks));
+  weekPlans[WEEK] = { weekOf: WEEK, table: built.table, overflow: built.overflow };
+
+  const saved = core.serializePlan({
+    goals: [{ id: 1, name: "Math", color: "#4a90d9" }], allTasks, mainDay: "Monday", reward: "", punishment: "",
+    mood: "normal", focusTask: "", availability: core.defaultAvailability(), breakMinutes: 10,
+    pomodoro: { work: 25, break: 5 }, weekStart: 1, weekPlans, weekHistory: [], commitments: [],
+    rules: { reward: [], punishment: [] }, verdicts: []
+  });
+
+  assert.equal(saved.schemaVersion, core.PLAN_SCHEMA_VERSION);
+  assert.deepEqual(core.validatePlan(saved), []);
+  assert.deepEqual(core.migratePlan(JSON.parse(JSON.stringify(saved)), WEEK).data, JSON.parse(JSON.stringify(saved)));
+});
+
+test("validatePlan reports the path of a bad field", () => {
+  const errors = core.validatePlan({ schemaVersion: 3, goals: [{ id: 1, name: 5 }], allTasks: [] });
+  assert.ok(errors.some(e => e.path === "goals[0].name"));
+});
+
+test("validatePlan checks every session of a stored week", () => {
+  const goals = [{ id: 1, name: "Math", color: "#4a90d9" }];
+  const { table, overflow } = core.buildWeekTable(WEEK, weekData([task({ id: 1, task: "Study 1 hour", duration: 60, days: ["Mon"] })]));
+  const plan = weekPlans => ({ schemaVersion: 3, goals, allTasks: [], weekPlans });
+
+  assert.deepEqual(core.validatePlan(plan({ [WEEK]: { weekOf: WEEK, table, overflow } })), []);
+  assert.ok(core.validatePlan(plan({ [WEEK]: { weekOf: WEEK, table: {}, overflow } })).some(e => e.path === `weekPlans.${WEEK}.table.Mon`));
+
+  const bad = JSON.parse(JSON.stringify(table));
+  bad.Mon[0].color = "red;background:url(x)";
+  bad.Mon[0].start = "9am";
+  bad.Mon.push({ ...bad.Mon[0], color: "#000000", start: 600, goalId: 9 });
+  const paths = core.validatePlan(plan({ [WEEK]: { weekOf: WEEK, table: bad, overflow } })).map(e => e.path);
+  const at = `weekPlans.${WEEK}.table.Mon`;
+  assert.deepEqual(paths, [`${at}[0].color`, `${at}[0].start`, `${at}[1].goalId`]);
+});
+
+test("validatePlan lets tasks wait on tasks of an archived goal", () => {
+  const archivedTasks = [task({ id: 1, task: "Algebra", goalId: 1 }), task({ id: 3, task: "Proofs", goalId: 1, dependsOn: 99 })];
+  const plan = {
+    schemaVersion: 3,
+    goals: [{ id: 1, name: "Math", color: "#4a90d9", archivedAt: "2026-10-01T00:00:00.000Z", archivedTasks }, { id: 2, name: "Physics", color: "#000000" }],
+    allTasks: [task({ id: 2, task: "Mechanics", goalId: 2, dependsOn: 1 })]
+  };
+  assert.deepEqual(core.validatePlan(plan).map(e => e.path), ["goals[0].archivedTasks[1].dependsOn"]);
+});
+
+test("migratePlan upgrades an original v1 export to the current version", () => {
+  const v1 = {
+    goals: [{ id: 7, name: "Math" }],
+    allTasks: [{ id: 1, goal: "Math", task: "Study 1 hour", days: ["Mon"], completed: { Mon: true } }],
+    weeklyPlan: { table: { Mon: [{ id: 1, task: "Study 1 hour" }] } }
+  };
+  const { data, notes } = core.migratePlan(v1, WEEK);
+
+  assert.equal(data.schemaVersion, core.PLAN_SCHEMA_VERSION);
+  assert.equal(data.allTasks[0].goalId, 7);
+  assert.equal(data.allTasks[0].duration, 60);
+  assert.equal(data.allTasks[0].completed, undefined);
+  assert.equal(data.weekPlans[WEEK].table.Mon[0].completed, true);
+  assert.equal(data.weekPlans[WEEK].table.Mon[0].goalId, 7);
+  assert.ok(notes.includes("1 task was linked to goals by name"));
+  assert.equal(v1.schemaVersion, undefined, "the original object is left untouched");
+});
+
+test("migratePlan refuses plans from a newer app", () => {
+  assert.throws(() => core.migratePlan({ schemaVersion: core.PLAN_SCHEMA_VERSION + 1 }, WEEK), /Please update the app/);
+  assert.throws(() => core.migratePlan([], WEEK), /does not contain a plan object/);
+});
+
+/* ==================== SHARING ==================== */
+function sharedWeek(includeStakes) {
+  const allTasks = [
+    task({ id: 1, task: "Study 1 hour", duration: 60, days: ["Mon"] }),
+    task({ id: 2, task: "Practice 30 mins", duration: 30, effort: 2, days: ["Tue"], dependsOn: 1 }),
+    task({ id: 3, task: "Review", duration: 20, effort: 1, days: ["Wed"], dependsOn: 99 })
+  ];
+  const built = core.buildWeekTable(WEEK, weekData(allTasks));
+  built.table.Mon[0].completed = true;
+  const plan = { weekOf: WEEK, ...built, reward: "Pizza", punishment: "No games", focusTask: "", aiSuggestions: "long text",
+    rules: { reward: [{ metric: "completion", op: "atLeast", value: 80 }], punishment: [] } };
+  const goals = [{ id: 1, name: "Math", color: "#4a90d9", deadline: "2026-12-01" }, { id: 2, name: "Unused", color: "#000000" }];
+  return core.sharePayload(plan, { name: "Ana", goals, availability: core.defaultAvailability(), weekStart: 1, includeStakes });
+}
+
+test("sharePayload keeps the timetable and drops private or bulky fields", () => {
+  const shared = sharedWeek(false);
+
+  assert.equal(shared.v, core.SHARE_VERSION);
+  assert.deepEqual(shared.goals, [{ id: 1, name: "Math", color: "#4a90d9", deadline: "2026-12-01" }]);
+  assert.deepEqual(Object.keys(shared.table.Mon[0]).sort(),
+    ["completed", "days", "duration", "effort", "end", "goalId", "id", "start", "task", "type"]);
+  assert.equal(shared.table.Mon[0].completed, true);
+  assert.equal("reward" in shared, false);
+  assert.equal("aiSuggestions" in shared, false);
+  assert.equal(sharedWeek(true).reward, "Pizza");
+  assert.deepEqual(sharedWeek(true).rules.reward, [{ metric: "completion", op: "atLeast", value: 80 }]);
+});
+
+test("readSharePayload accepts a shared week and rejects anything else", () => {
+  const shared = JSON.parse(JSON.stringify(sharedWeek(true)));
+  assert.equal(core.readSharePayload(shared), shared);
+  assert.throws(() => core.readSharePayload({ ...shared, v: 99 }), /^Error: v must be one of/);
+  assert.throws(() => core.readSharePayload({ ...shared, table: { Mon: [] } }), /table/);
+});
+
+test("templateFromShare turns a shared week into an importable plan of its tasks", () => {
+  const template = core.templateFromShare(sharedWeek(true));
+
+  assert.deepEqual(template.allTasks.map(t => [t.id, t.days, t.dependsOn]), [[1, ["Mon"], undefined], [2, ["Tue"], 1], [3, ["Wed"], undefined]]);
+  assert.ok(template.allTasks.every(t => t.completed === undefined && t.start === undefined));
+  assert.deepEqual(template.weekPlans, {});
+  assert.deepEqual(core.validatePlan(template), []);
+});
+
+/* ==================== REMINDERS ==================== */
+function reminderWeek() {
+  const allTasks = [
+    task({ id: 1, task: "Study 1 hour", duration: 60, days: ["Mon"] }),
+    task({ id: 2, task: "Bio reading", goalId: 2, duration: 30, effort: 2, days: ["Mon"] })
+  ];
+  const goals = [{ id: 1, name: "Math", color: "#4a90d9" }, { id: 2, name: "Bio", color: "#10b981" }];
+  const { table, overflow } = core.buildWeekTable(WEEK, { ...weekData(allTasks), goals }, { breakMinutes: 10 });
+  return { goals, plan: { weekOf: WEEK, table, overflow } };
+}
+
+test("inQuietHours handles ranges that run past midnight", () => {
+  const overnight = { quietStart: "22:00", quietEnd: "07:00" };
+  assert.equal(core.inQuietHours(core.toMinutes("23:30"), overnight), true);
+  assert.equal(core.inQuietHours(core.toMinutes("06:59"), overnight), true);
+  assert.equal(core.inQuietHours(core.toMinutes("07:00"), overnight), false);
+  assert.equal(core.inQuietHours(core.toMinutes("13:00"), { quietStart: "12:00", quietEnd: "14:00" }), true);
+  assert.equal(core.inQuietHours(0, { quietStart: "00:00", quietEnd: "00:00" }), false);
+});
+
+test("remindersForDay warns before open sessions and sends the digest and nudge", () => {
+  const { goals, plan } = reminderWeek();
+  const reminders = core.remindersForDay(plan, "Mon", { goals, settings: core.DEFAULT_REMINDERS });
+
+  assert.deepEqual(reminders.map(r => [r.kind, core.formatTime(r.at)]), [
+    ["digest", "08:00"],
+    ["task", "15:50"],
+    ["task", "17:00"],
+    ["nudge", "20:00"]
+  ]);
+  assert.equal(reminders[1].title, "⏰ Study 1 hour at 16:00");
+  assert.equal(reminders[1].body, "Starts in 10 mins · Math");
+  assert.equal(reminders[0].body, "16:00 Study 1 hour\n17:10 Bio reading");
+  assert.deepEqual(core.remindersForDay(plan, "Tue", { goals }), []);
+});
+
+test("remindersForDay follows per-goal lead times, finished sessions and quiet hours", () => {
+  const { goals, plan } = reminderWeek();
+  goals[0].reminders = { enabled: false };
+  goals[1].reminders = { enabled: true, leadMinutes: 30 };
+  const settings = { ...core.DEFAULT_REMINDERS, digest: false, quietStart: "19:00", quietEnd: "07:00" };
+
+  assert.deepEqual(core.remindersForDay(plan, "Mon", { goals, settings }).map(r => [r.kind, core.formatTime(r.at)]),
+    [["task", "16:40"]]);
+
+  plan.table.Mon.forEach(t => t.completed = true);
+  assert.deepEqual(core.remindersForDay(plan, "Mon", { goals, settings: core.DEFAULT_REMINDERS }).map(r => r.kind), ["digest"]);
+});
+
+test("remindersBetween returns only what came due in the window, with its time", () => {
+  const { goals, plan } = reminderWeek();
+  const weekPlans = { [WEEK]: plan };
+  const at = (day, time) => new Date(`${day}T${time}:00`);
+
+  const due = core.remindersBetween(at("2026-10-19", "15:45"), at("2026-10-19", "15:50"), { weekPlans, goals });
+  assert.deepEqual(due.map(r => [r.kind, r.taskId, r.time.toTimeString().slice(0, 5)]), [["task", 1, "15:50"]]);
+
+  const overnight = core.remindersBetween(at("2026-10-18", "19:00"), at("2026-10-19", "09:00"), { weekPlans, goals });
+  assert.deepEqual(overnight.map(r => r.kind), ["digest"]);
+  assert.deepEqual(core.remindersBetween(at("2026-10-20", "00:00"), at("2026-10-20", "23:59"), { weekPlans, goals }), []);
+});
+
+/* ==================== TEMPLATES ==================== */
+test("built-in templates are valid plans that pass the plan checks", () => {
+  assert.deepEqual(core.BUILT_IN_TEMPLATES.map(t => t.name),
+    ["Exam prep – 4 subjects", "Coding interview prep", "Semester balanced"]);
+  core.BUILT_IN_TEMPLATES.forEach(t => {
+    assert.deepEqual(core.validatePlan(core.templateFile(t)), []);
+    assert.deepEqual(core.planWarnings(t.allTasks, { goals: t.goals, mood: "normal", mainDay: "Mon", open: core.WEEK_DAYS }), []);
+  });
+  const semester = core.BUILT_IN_TEMPLATES[2].allTasks;
+  assert.deepEqual(semester.slice(0, 3).map(t => [t.type, t.duration]), [["weekdays", 45], ["weekly", 90], ["times", 30]]);
+});
+
+test("templateFromPlan keeps goals, tasks and days but nothing tied to dates or progress", () => {
+  const data = {
+    goals: [
+      { id: 1, name: "Math", color: "#3b82f6", deadline: "2026-11-01", milestones: [{ id: 9, name: "Ch. 1" }] },
+      { id: 2, name: "Old", color: "#000000", archivedAt: "2026-10-01" }
+    ],
+    allTasks: [
+      task({ id: 10, task: "Algebra", days: ["Mon"], milestoneId: 9, color: "#3b82f6" }),
+      task({ id: 11, task: "Proofs", days: ["Tue"], dependsOn: 12 }),
+      task({ id: 12, task: "Hand in sheet", type: "once", dueDate: "2026-10-23" }),
+      task({ id: 13, task: "Gone", deleted: true }),
+      task({ id: 14, task: "Archived", goalId: 2 })
+    ]
+  };
+  const template = core.templateFromPlan(data, { id: 5, name: "Math week" });
+
+  assert.deepEqual(template.goals, [{ id: 1, name: "Math", color: "#3b82f6" }]);
+  assert.deepEqual(template.allTasks.map(t => t.task), ["Algebra", "Proofs"]);
+  assert.equal(template.allTasks[0].milestoneId, undefined);
+  assert.equal(template.allTasks[1].dependsOn, undefined);
+  assert.deepEqual(template.allTasks[0].days, ["Mon"]);
+});
+
+test("instantiateTemplate gives fresh ids and keeps goals, tasks and prerequisites linked", () => {
+  const template = {
+    id: "t", name: "T",
+    goals: [{ id: 1, name: "Essay", color: "#ef4444" }],
+    allTasks: [task({ id: 100, task: "Outline", goalId: 1 }), task({ id: 101, task: "Draft", goalId: 1, dependsOn: 100 })]
+  };
+  let next = 5000;
+  const plan = core.instantiateTemplate(template, () => next++);
+
+  assert.deepEqual(plan.goals.map(g => g.id), [5000]);
+  assert.deepEqual(plan.allTasks.map(t => [t.id, t.goalId, t.goal, t.dependsOn]), [[5001, 5000, "Essay", undefined], [5002, 5000, "Essay", 5001]]);
+  assert.deepEqual(core.validatePlan(plan), []);
+  assert.equal(template.allTasks[1].dependsOn, 100);
+});
+
+test("readTemplateFile reads template files and plan exports, and rejects broken ones", () => {
+  const exam = core.BUILT_IN_TEMPLATES[0];
+  const file = JSON.parse(JSON.stringify({ app: "ai-focus-planner", ...core.templateFile(exam) }));
+  const read = core.readTemplateFile(file, { id: 7, thisWeek: WEEK, fallbackName: "file" });
+  assert.equal(read.name, exam.name);
+  assert.equal(read.description, exam.description);
+  assert.equal(read.allTasks.length, exam.allTasks.length);
+
+  const plan = { schemaVersion: core.PLAN_SCHEMA_VERSION, goals: [{ id: 1, name: "Math", color: "#3b82f6" }], allTasks: [] };
+  assert.equal(core.readTemplateFile(plan, { id: 8, thisWeek: WEEK, fallbackName: "my-plan" }).name, "my-plan");
+  assert.throws(() => core.readTemplateFile({ ...plan, goals: [{ id: 1 }] }, { id: 9, thisWeek: WEEK, fallbackName: "x" }), /goals\[0\]/);
+});
@@ -0,0 +1,69 @@
+/* ==================== SLIDE HARNESS ====================
+ * Loads index.html into jsdom and runs core.js, qr.js and script.js in it, the way the
+ * browser does, so tests can click through the slides. Plans are saved to
+ * localStorage here (jsdom has no IndexedDB) and encrypted with the user's PIN.
+ */
+const fs = require("fs");
+const path = require("path");
+const nodeCrypto = require("crypto");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+const read = file => fs.readFileSync(path.join(ROOT, file), "utf8");
+
+// `storage` seeds localStorage first, e.g. with another app's saved profiles and plans
+function loadApp({ url = "http://localhost/", storage = {} } = {}) {
+  const html = read("index.html").replace(/<script src="[^"]+"><\/script>/g, "");
+  const dom = new JSDOM(html, { runScripts: "outside-only", url, pretendToBeVisual: true });
+  const w = dom.window;
+  
+  w.confirm = () => true;
+  w.crypto.subtle = nodeCrypto.webcrypto.subtle;
+  w.crypto.randomUUID = () => nodeCrypto.randomUUID();
+  w.fetch = async () => { throw new Error("offline"); };
+  w.TextEncoder = TextEncoder;
+  w.TextDecoder = TextDecoder;
+  w.CompressionStream = CompressionStream;
+  w.DecompressionStream = DecompressionStream;
+  w.console.error = () => {};
+  w.Element.prototype.scrollIntoView = () => {};
+  
+  Object.entries(storage).forEach(([key, value]) => w.localStorage.setItem(key, value));
+  
+  w.eval(read("core.js"));
+  w.eval(read("qr.js"));
+  w.eval(read("script.js"));
+  
+  const $ = id => w.document.getElementById(id);
+  return { w, $, close: () => w.close() };
+}
+
+// Saves are asynchronous (encryption, storage), so give them a moment to land
+const settle = (ms = 150) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fills in an input or checkbox the way a user would, firing the events script.js listens for
+function fill(w, el, value) {
+  if (el.type === "checkbox") {
+    el.checked = value;
+    el.dispatchEvent(new w.Event("change", { bubbles: true }));
+  } else {
+    el.value = value;
+    el.dispatchEvent(new w.Event("input", { bubbles: true }));
+  }
+}
+
+// Decrypts the first user's saved plan with their passphrase
+function savedPlan(w, pin) {
+  const key = Object.keys(w.localStorage).find(k => k.startsWith("plan_"));
+  const envelope = JSON.parse(w.localStorage.getItem(key));
+  if (!envelope.alg) return envelope;
+  
+  const user = JSON.parse(w.localStorage.getItem("focusUsers"))[0];
+  const aesKey = nodeCrypto.pbkdf2Sync(pin, Buffer.from(user.keySalt, "hex"), 100000, 32, "sha256");
+  const raw = Buffer.from(envelope.data, "base64");
+  const decipher = nodeCrypto.createDecipheriv("aes-256-gcm", aesKey, Buffer.from(envelope.iv, "hex"));
+  decipher.setAuthTag(raw.subarray(raw.length - 16));
+  return JSON.parse(Buffer.concat([decipher.update(raw.subarray(0, raw.length - 16)), decipher.final()]).toString());
+}
+
+module.exports = { loadApp, settle, fill, savedPlan };
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const QRCode = require("../qr.js");
+
+// Reads the format information next to the top-left finder pattern
+function formatInfo(modules) {
+  const positions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  const bits = positions.reduce((value, [x, y], i) => value | (modules[y][x] ? 1 << i : 0), 0) ^ 0x5412;
+  return { level: bits >>> 13, mask: (bits >>> 10) & 7 };
+}
+
+test("Reed-Solomon error correction matches the standard's worked example", () => {
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  assert.deepEqual(QRCode.rsRemainder(data, QRCode.rsDivisor(10)), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test("encode picks the smallest version at level M and draws the finder patterns", () => {
+  const qr = QRCode.encode("https://example.com/");
+  assert.equal(qr.version, 2);
+  assert.equal(qr.level, "M");
+  assert.equal(qr.size, 25);
+  assert.equal(qr.modules.length, 25);
+
+  const finderRow = [true, true, true, true, true, true, true, false];
+  assert.deepEqual(qr.modules[0].slice(0, 8), finderRow);
+  assert.deepEqual(qr.modules[0].slice(-8), [...finderRow].reverse());
+  assert.deepEqual(qr.modules[24].slice(0, 8), finderRow);
+  assert.equal(formatInfo(qr.modules).level, QRCode.ECC_LEVELS.M.formatBits);
+});
+
+test("encode counts UTF-8 bytes and falls back to level L for long text", () => {
+  assert.equal(QRCode.encode("é".repeat(7)).version, 1);
+  assert.equal(QRCode.encode("é".repeat(8)).version, 2);
+
+  const long = QRCode.encode("x".repeat(QRCode.capacity(40, QRCode.ECC_LEVELS.M) + 1));
+  assert.deepEqual([long.version, long.level], [36, "L"]);
+  assert.equal(formatInfo(long.modules).level, QRCode.ECC_LEVELS.L.formatBits);
+});
+
+test("encode refuses text longer than the largest code holds", () => {
+  assert.equal(QRCode.capacity(40, QRCode.ECC_LEVELS.L), 2953);
+  assert.throws(() => QRCode.encode("x".repeat(2954)), RangeError);
+});
@@ -0,0 +1,758 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+const { loadApp, settle, fill, savedPlan } = require("./harness");
+
+const PIN = "maple study 42";
+
+// Registers a student and walks the slides up to a generated timetable
+async function planAWeek(app, tasksText, days) {
+  const { w, $ } = app;
+  await settle(50);
+  $("newUserBtn").click();
+  fill(w, $("userName"), "Ana");
+  fill(w, $("userIntent"), "Pass the exam");
+  fill(w, $("userPin"), PIN);
+  $("createBtn").click();
+  await settle(400);
+  
+  fill(w, $("goalInput"), "Math");
+  $("addGoalBtn").click();
+  fill(w, $("tasks0"), tasksText);
+  $("next3").click();
+  days.forEach(id => fill(w, $(id), true));
+  $("generateBtn").click();
+  await settle(200);
+}
+
+// Hands a file to a file input the way picking it in the dialog does
+function chooseFile(w, input, name, text) {
+  Object.defineProperty(input, "files", { value: [new w.File([text], name)], configurable: true });
+  input.dispatchEvent(new w.Event("change"));
+}
+
+// Runs a click that saves a file and resolves with the saved file's text
+function download(w, click) {
+  let blob;
+  w.URL.createObjectURL = b => { blob = b; return "blob:download"; };
+  w.URL.revokeObjectURL = () => {};
+  click();
+  return new Promise(resolve => {
+    const reader = new w.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+const WEEK_DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const emptyDays = () => Object.fromEntries(WEEK_DAYS.map(d => [d, []]));
+
+const activeSlide = w => w.document.querySelector(".slide.active");
+const dayCells = (w, day) => [...w.document.querySelectorAll(`#table .task[data-day="${day}"]`)]
+  .map(el => el.textContent.replace(/\s+/g, " ").trim());
+
+test("registering opens the main day slide", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  await settle(50);
+  
+  assert.equal(activeSlide(app.w).id, "authSlide");
+  app.$("newUserBtn").click();
+  fill(app.w, app.$("userName"), "Ana");
+  fill(app.w, app.$("userIntent"), "Pass the exam");
+  fill(app.w, app.$("userPin"), PIN);
+  app.$("createBtn").click();
+  await settle(400);
+  
+  assert.notEqual(activeSlide(app.w).id, "authSlide");
+});
+
+test("a 4-digit PIN is too short to create a profile", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await settle(50);
+  $("newUserBtn").click();
+  fill(w, $("userName"), "Ana");
+  fill(w, $("userIntent"), "Pass the exam");
+  fill(w, $("userPin"), "1234");
+  $("createBtn").click();
+  await settle(400);
+  
+  assert.equal(activeSlide(w).id, "authSlide");
+  assert.match($("notificationContainer").textContent, /at least 8 characters/);
+});
+
+test("a saved plan that can't be decrypted logs the user out instead of being overwritten", async t => {
+  const first = loadApp();
+  await planAWeek(first, "• Study 1 hour", ["0Mon"]);
+  await settle();
+  const storage = { ...first.w.localStorage };
+  first.close();
+  
+  const planKey = Object.keys(storage).find(k => k.startsWith("plan_"));
+  const envelope = JSON.parse(storage[planKey]);
+  envelope.data = Buffer.from("not the plan").toString("base64");
+  storage[planKey] = JSON.stringify(envelope);
+  
+  const app = loadApp({ storage });
+  t.after(app.close);
+  const { w, $ } = app;
+  await settle(50);
+  $("existingUserBtn").click();
+  $("userPicker").querySelector(".user-chip").click();
+  fill(w, $("loginPin"), PIN);
+  $("loginBtn").click();
+  await settle(400);
+  
+  assert.equal(activeSlide(w).id, "authSlide");
+  assert.match($("notificationContainer").textContent, /couldn't be read/);
+  assert.equal($("userProfile").style.display, "none");
+  assert.equal(w.localStorage.getItem(planKey), storage[planKey]);
+});
+
+test("a generated week lists each task in its time slot and is saved encrypted", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  await planAWeek(app, "• Study 1 hour\n• Practice 30 mins", ["0Mon", "1Mon"]);
+  
+  assert.deepEqual(dayCells(app.w, "Mon").map(text => text.split(" ")[0]), ["16:00–17:00", "17:10–17:40"]);
+  assert.deepEqual(dayCells(app.w, "Tue"), []);
+  
+  await settle();
+  const plan = savedPlan(app.w, PIN);
+  assert.deepEqual(plan.allTasks.map(task => [task.task, task.days]), [
+    ["Study 1 hour", ["Mon"]],
+    ["Practice 30 mins", ["Mon"]]
+  ]);
+  const week = Object.values(plan.weekPlans)[0];
+  assert.equal(week.table.Mon.length, 2);
+});
+
+test("ticking a session off is remembered in the saved week", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  await planAWeek(app, "• Study 1 hour", ["0Wed"]);
+  
+  app.w.document.querySelector('#table .task[data-day="Wed"]').click();
+  await settle();
+  
+  const week = Object.values(savedPlan(app.w, PIN).weekPlans)[0];
+  assert.equal(week.table.Wed[0].completed, true);
+});
+
+test("identical task lines stay separate tasks when the task step is revisited", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Read 30 mins\n• Read 30 mins", ["0Mon", "1Tue"]);
+  
+  $("back4").click();
+  $("back3").click();
+  $("next3").click();
+  fill(w, $("0Wed"), true);
+  await settle();
+  
+  const tasks = savedPlan(w, PIN).allTasks;
+  assert.notEqual(tasks[0].id, tasks[1].id);
+  assert.deepEqual(tasks.map(task => task.days), [["Mon", "Wed"], ["Tue"]]);
+});
+
+test("goals, milestones and template goals made in the same millisecond get their own ids", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const now = Date.now();
+  w.Date.now = () => now;
+  
+  $("back4").click();
+  $("back3").click();
+  $("back2").click();
+  ["Physics", "Chemistry"].forEach(name => {
+    fill(w, $("goalInput"), name);
+    $("addGoalBtn").click();
+  });
+  ["Unit 1", "Unit 2"].forEach(name => {
+    const box = w.document.querySelector('#goals .goal-box[data-index="1"]');
+    fill(w, box.querySelector(".milestone-input"), name);
+    box.querySelector('[data-action="add-milestone"]').click();
+  });
+  $("templateList").querySelector('[data-action="apply-template"]').click();
+  await settle();
+  
+  const plan = savedPlan(w, PIN);
+  const ids = [...plan.goals, ...plan.goals.flatMap(g => g.milestones || []), ...plan.allTasks].map(item => String(item.id));
+  assert.equal(plan.goals[1].milestones.length, 2);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual(core.validatePlan(plan), []);
+});
+
+test("archiving a goal that another task waits on keeps the plan valid and restoring brings the link back", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await settle(50);
+  $("newUserBtn").click();
+  fill(w, $("userName"), "Ana");
+  fill(w, $("userIntent"), "Pass the exam");
+  fill(w, $("userPin"), PIN);
+  $("createBtn").click();
+  await settle(400);
+  ["Math", "Physics"].forEach(name => {
+    fill(w, $("goalInput"), name);
+    $("addGoalBtn").click();
+  });
+  fill(w, $("tasks0"), "• Algebra 1 hour");
+  fill(w, $("tasks1"), "• Mechanics 1 hour");
+  $("next3").click();
+  await settle();
+  const [algebra] = savedPlan(w, PIN).allTasks;
+  $("dependsOn1").value = String(algebra.id);
+  $("dependsOn1").dispatchEvent(new w.Event("change", { bubbles: true }));
+  
+  w.document.querySelector('#goals .goal-box[data-index="0"] [data-action="archive-goal"]').click();
+  await settle();
+  const archived = savedPlan(w, PIN);
+  assert.deepEqual(core.validatePlan(archived), []);
+  assert.equal(archived.allTasks[0].dependsOn, algebra.id);
+  
+  w.document.querySelector('[data-action="restore-goal"]').click();
+  await settle();
+  const restored = savedPlan(w, PIN).allTasks;
+  assert.equal(restored.find(task => task.task === "Mechanics 1 hour").dependsOn, restored.find(task => task.task === "Algebra 1 hour").id);
+});
+
+test("editing a prerequisite's line drops the link to it, so the exported plan imports again", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Algebra 1 hour\n• Proofs 1 hour", ["0Mon", "1Tue"]);
+  $("back4").click();
+  const [algebra] = savedPlan(w, PIN).allTasks;
+  $("dependsOn1").value = String(algebra.id);
+  $("dependsOn1").dispatchEvent(new w.Event("change", { bubbles: true }));
+  
+  $("back3").click();
+  fill(w, $("tasks0"), "• Algebra 90 mins\n• Proofs 1 hour");
+  $("next3").click();
+  await settle();
+  
+  const file = await download(w, () => $("exportBtn").click());
+  assert.equal(JSON.parse(file).allTasks.find(task => task.task === "Proofs 1 hour").dependsOn, undefined);
+  chooseFile(w, $("importFile"), "plan.json", file);
+  await settle();
+  assert.notEqual($("importReplaceBtn").style.display, "none", $("importReportBody").textContent);
+  $("importReplaceBtn").click();
+  await settle();
+  assert.deepEqual(savedPlan(w, PIN).allTasks.map(task => task.task), ["Algebra 90 mins", "Proofs 1 hour"]);
+});
+
+test("a calendar import follows INTERVAL, COUNT and EXDATE and reports events it can't repeat", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT", "UID:lab", "SUMMARY:Lab", "DTSTART:20261006T090000", "DTEND:20261006T110000",
+    "RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3", "EXDATE:20261020T090000", "END:VEVENT",
+    "BEGIN:VEVENT", "UID:trip", "SUMMARY:Trip", "DTSTART:20261009T180000", "DTEND:20261011T120000", "END:VEVENT",
+    "BEGIN:VEVENT", "UID:club", "SUMMARY:Club", "DTSTART:20261001T190000", "DTEND:20261001T200000",
+    "RRULE:FREQ=MONTHLY", "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n");
+  chooseFile(w, $("importIcsFile"), "classes.ics", ics);
+  await settle();
+  
+  const commitments = savedPlan(w, PIN).commitments;
+  assert.deepEqual(commitments.map(c => [c.title, c.day, c.start, c.end, c.date]), [
+    ["Lab", "Tue", "09:00", "11:00", "2026-10-06"],
+    ["Trip", "Fri", "18:00", "24:00", "2026-10-09"],
+    ["Trip", "Sat", "00:00", "24:00", "2026-10-10"],
+    ["Trip", "Sun", "00:00", "12:00", "2026-10-11"]
+  ]);
+  assert.deepEqual([commitments[0].interval, commitments[0].until, commitments[0].except], [2, "2026-11-03", ["2026-10-20"]]);
+  assert.match($("notificationContainer").textContent, /1 event repeating monthly, yearly or by another rule the planner can't follow was skipped/);
+});
+
+test("a session ending at midnight is exported as ending at 00:00 the next day", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const session = { id: 2, task: "Night review", goalId: 1, days: ["Sun"], start: 1380, end: 1440 };
+  const file = {
+    schemaVersion: 3,
+    goals: [{ id: 1, name: "Math", color: "#4a90d9" }],
+    allTasks: [{ id: 2, task: "Night review", goalId: 1, days: ["Sun"] }],
+    weekPlans: { "2026-10-19": { weekOf: "2026-10-19", table: { ...emptyDays(), Sun: [session] }, overflow: emptyDays() } }
+  };
+  chooseFile(w, $("importFile"), "plan.json", JSON.stringify(file));
+  await settle();
+  $("importReplaceBtn").click();
+  await settle();
+  
+  const ics = await download(w, () => $("exportIcsBtn").click());
+  assert.match(ics, /DTSTART:20261025T230000\r\nDTEND:20261026T000000\r\n/);
+});
+
+test("a calendar export repeats only sessions on fixed days", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const session = (id, task, type, day, fields = {}) => ({ id, task, goalId: 1, type, days: [day], start: 960, end: 1020, ...fields });
+  const file = {
+    schemaVersion: 3,
+    goals: [{ id: 1, name: "Math", color: "#4a90d9" }],
+    allTasks: [
+      { id: 1, task: "Lecture notes", goalId: 1, type: "weekly", days: ["Mon"] },
+      { id: 2, task: "Essay", goalId: 1, type: "once", dueDate: "2026-10-23", days: [] },
+      { id: 3, task: "Flashcards", goalId: 1, type: "times", timesPerWeek: 2, days: [] }
+    ],
+    weekPlans: { "2026-10-19": { weekOf: "2026-10-19", overflow: emptyDays(), table: {
+      ...emptyDays(),
+      Mon: [session(1, "Lecture notes", "weekly", "Mon")],
+      Tue: [session(2, "Essay", "once", "Tue", { dueDate: "2026-10-23" })],
+      Wed: [session(3, "Flashcards", "times", "Wed", { timesPerWeek: 2 })]
+    } } }
+  };
+  chooseFile(w, $("importFile"), "plan.json", JSON.stringify(file));
+  await settle();
+  $("importReplaceBtn").click();
+  await settle();
+  
+  const ics = await download(w, () => $("exportIcsBtn").click());
+  const events = ics.split("BEGIN:VEVENT").slice(1);
+  assert.deepEqual(events.map(e => [e.match(/SUMMARY:(.*)\r\n/)[1], e.match(/RRULE:(.*)\r\n/)?.[1]]), [
+    ["Lecture notes", "FREQ=WEEKLY;BYDAY=MO;COUNT=4"],
+    ["Essay", undefined],
+    ["Flashcards", undefined]
+  ]);
+});
+
+test("merging a plan gives clashing tasks new ids and points the file's weeks at them", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const mine = savedPlan(w, PIN).allTasks[0];
+  const session = { id: mine.id, task: "Lab report 1 hour", goalId: 1, days: ["Tue"], start: 960, end: 1020, completed: true };
+  const file = {
+    schemaVersion: 3,
+    goals: [{ id: 1, name: "Physics", color: "#ff0000" }],
+    allTasks: [{ id: mine.id, task: "Lab report 1 hour", goalId: 1, days: ["Tue"] }],
+    weekPlans: { "2026-01-05": { weekOf: "2026-01-05", table: { ...emptyDays(), Tue: [session] }, overflow: emptyDays() } }
+  };
+  
+  chooseFile(w, $("importFile"), "physics.json", JSON.stringify(file));
+  await settle();
+  $("importMergeBtn").click();
+  await settle();
+  
+  const plan = savedPlan(w, PIN);
+  const lab = plan.allTasks.find(task => task.task === "Lab report 1 hour");
+  const physics = plan.goals.find(g => g.name === "Physics");
+  assert.notEqual(lab.id, mine.id);
+  assert.equal(plan.allTasks.find(task => task.task === "Study 1 hour").id, mine.id);
+  assert.deepEqual(plan.weekPlans["2026-01-05"].table.Tue.map(e => [e.id, e.goalId, e.completed]), [[lab.id, physics.id, true]]);
+});
+
+test("merging a file with only goals and tasks leaves history and commitments alone", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const file = { schemaVersion: 3, goals: [{ id: 1, name: "Physics", color: "#ff0000" }], allTasks: [{ id: 2, task: "Lab report", goalId: 1, days: [] }] };
+  
+  chooseFile(w, $("importFile"), "physics.json", JSON.stringify(file));
+  await settle();
+  $("importMergeBtn").click();
+  await settle();
+  
+  const plan = savedPlan(w, PIN);
+  assert.deepEqual(plan.goals.map(g => g.name), ["Math", "Physics"]);
+  assert.deepEqual(plan.allTasks.map(task => task.task), ["Study 1 hour", "Lab report"]);
+  assert.deepEqual(plan.commitments, []);
+  assert.equal(Object.keys(plan.weekPlans).length, 1);
+});
+
+test("an exported template merges into a plan through Import Plan", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  
+  const card = $("templateList").querySelector(".template-card");
+  const text = await download(w, () => card.querySelector('[data-action="export-template"]').click());
+  const template = JSON.parse(text);
+  
+  chooseFile(w, $("importFile"), "template.json", text);
+  await settle();
+  $("importMergeBtn").click();
+  await settle();
+  
+  const plan = savedPlan(w, PIN);
+  assert.deepEqual(plan.goals.map(g => g.name), ["Math", ...template.goals.map(g => g.name)]);
+  assert.deepEqual(plan.allTasks.map(task => task.task), ["Study 1 hour", ...template.allTasks.map(task => task.task)]);
+  assert.equal(Object.keys(plan.weekPlans).length, 1);
+});
+
+test("editing a condition after building the week applies to that week and is saved", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Wed"]);
+  
+  w.document.querySelector('#rewardRules [data-action="add-rule"]').click();
+  await settle();
+  const saved = savedPlan(w, PIN);
+  const week = Object.values(saved.weekPlans)[0];
+  assert.equal(saved.rules.reward.length, 1);
+  assert.deepEqual(week.rules, saved.rules);
+  assert.equal($("rewardRuleStatus").querySelectorAll("li").length, 1);
+  
+  w.document.querySelector('#rewardRules [data-action="remove-rule"]').click();
+  await settle();
+  assert.deepEqual(Object.values(savedPlan(w, PIN).weekPlans)[0].rules.reward, []);
+});
+
+test("moving a task while its focus timer runs still logs the minutes on it", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Wed"]);
+  const taskEl = day => w.document.querySelector(`#table .task[data-day="${day}"]`);
+  
+  taskEl("Wed").querySelector('[data-action="start-focus"]').click();
+  taskEl("Wed").dispatchEvent(new w.KeyboardEvent("keydown", { key: "ArrowRight", altKey: true, bubbles: true }));
+  const now = Date.now();
+  w.Date.now = () => now + 10 * 60000;
+  $("focusStopBtn").click();
+  await settle();
+  
+  const week = Object.values(savedPlan(w, PIN).weekPlans)[0];
+  assert.deepEqual([week.table.Wed, week.table.Thu[0].actualMinutes], [[], 10]);
+});
+
+test("a share link opens a read-only copy of the week that can be copied as a template", async t => {
+  const sharer = loadApp();
+  t.after(sharer.close);
+  await planAWeek(sharer, "• Study 1 hour\n• Practice 30 mins", ["0Mon", "1Tue"]);
+  fill(sharer.w, sharer.$("reward"), "Pizza night");
+  sharer.w.document.querySelector('#table .task[data-day="Mon"]').click();
+  
+  assert.equal(sharer.$("shareStakes").checked, false, "reward and punishment stay private unless ticked");
+  sharer.$("shareBtn").click();
+  await settle();
+  const link = sharer.$("shareLink").value;
+  assert.match(link, /^http:\/\/localhost\/#share=1\./);
+  assert.ok(sharer.$("shareQR").querySelector("svg.qr-code path"));
+  
+  const partner = loadApp({ url: link });
+  t.after(partner.close);
+  await settle();
+  
+  assert.equal(activeSlide(partner.w).id, "sharedSlide");
+  assert.equal(partner.$("sharedTitle").textContent, "👀 Ana's Week");
+  assert.match(partner.$("sharedSummary").textContent, /1\/2 sessions done/);
+  assert.equal(partner.$("sharedStakes").hidden, true, "reward and punishment were left out");
+  const cells = [...partner.$("sharedTable").querySelectorAll(".task")];
+  assert.deepEqual(cells.map(el => el.dataset.day), ["Mon", "Tue"]);
+  assert.equal(partner.$("sharedTable").querySelectorAll("input, button, [draggable]").length, 0);
+  
+  partner.$("sharedTemplateBtn").click();
+  assert.equal(activeSlide(partner.w).id, "authSlide");
+  partner.$("newUserBtn").click();
+  fill(partner.w, partner.$("userName"), "Ben");
+  fill(partner.w, partner.$("userIntent"), "Keep Ana honest");
+  fill(partner.w, partner.$("userPin"), PIN);
+  partner.$("createBtn").click();
+  await settle(400);
+  
+  assert.ok(partner.$("importDialog").classList.contains("open"));
+  assert.match(partner.$("importReportTitle").textContent, /Ana's shared week" is ready to import/);
+  partner.$("importReplaceBtn").click();
+  await settle();
+  
+  const copy = savedPlan(partner.w, PIN);
+  assert.deepEqual(copy.goals.map(g => g.name), ["Math"]);
+  assert.deepEqual(copy.allTasks.map(task => [task.task, task.days]), [
+    ["Study 1 hour", ["Mon"]],
+    ["Practice 30 mins", ["Tue"]]
+  ]);
+  assert.deepEqual(copy.weekPlans, {});
+});
+
+test("a damaged share link leaves the app on the login slide", async t => {
+  const app = loadApp({ url: "http://localhost/#share=1.not-a-plan" });
+  t.after(app.close);
+  await settle();
+  
+  assert.equal(activeSlide(app.w).id, "authSlide");
+  assert.match(app.$("notificationContainer").textContent, /damaged or incomplete/);
+});
+
+test("a Replace import doesn't keep the old plan's reward or settings when the file leaves them empty", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  fill(w, $("reward"), "Pizza night");
+  fill(w, $("focusTask"), "Study 1 hour");
+  fill(w, $("breakMinutes"), "25");
+  
+  const file = { schemaVersion: 3, goals: [{ id: 1, name: "Physics", color: "#ff0000" }], allTasks: [], reward: "", breakMinutes: "" };
+  chooseFile(w, $("importFile"), "physics.json", JSON.stringify(file));
+  await settle();
+  $("importReplaceBtn").click();
+  await settle();
+  
+  const plan = savedPlan(w, PIN);
+  assert.deepEqual([plan.reward, plan.focusTask, plan.breakMinutes], ["", "", "10"]);
+});
+
+test("undoing a Replace import brings back the commitments and weeks it replaced", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  const ics = ["BEGIN:VCALENDAR", "BEGIN:VEVENT", "UID:lab", "SUMMARY:Lab", "DTSTART:20261006T090000",
+    "DTEND:20261006T110000", "RRULE:FREQ=WEEKLY", "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+  chooseFile(w, $("importIcsFile"), "classes.ics", ics);
+  await settle();
+  const before = savedPlan(w, PIN);
+  
+  const file = { schemaVersion: 3, goals: [{ id: 1, name: "Physics", color: "#ff0000" }], allTasks: [] };
+  chooseFile(w, $("importFile"), "physics.json", JSON.stringify(file));
+  await settle();
+  $("importReplaceBtn").click();
+  await settle();
+  assert.deepEqual(savedPlan(w, PIN).commitments, []);
+  
+  w.document.body.dispatchEvent(new w.KeyboardEvent("keydown", { key: "z", ctrlKey: true, bubbles: true }));
+  await settle();
+  const after = savedPlan(w, PIN);
+  assert.deepEqual(after.goals.map(g => g.name), ["Math"]);
+  assert.deepEqual(after.commitments, before.commitments);
+  assert.deepEqual(after.weekPlans, before.weekPlans);
+  assert.equal(after.commitments.length, 1);
+});
+
+test("changing the focus timer lengths isn't an undo step", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  $("pomodoroWork").value = "50";
+  $("pomodoroWork").dispatchEvent(new w.Event("change", { bubbles: true }));
+  await settle();
+  assert.equal(savedPlan(w, PIN).pomodoro.work, 50);
+  
+  w.document.body.dispatchEvent(new w.KeyboardEvent("keydown", { key: "z", ctrlKey: true, bubbles: true }));
+  assert.match($("notificationContainer").lastElementChild.textContent, /Undid build the week/);
+});
+
+test("reminder preferences ask for notification permission and are saved with the plan", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const requests = [];
+  app.w.Notification = class {
+    static permission = "default";
+    static requestPermission() {
+      requests.push("asked");
+      this.permission = "granted";
+      return Promise.resolve("granted");
+    }
+  };
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  
+  const settings = app.$("reminderSettings");
+  const field = name => settings.querySelector(`[data-field="${name}"]`);
+  fill(app.w, field("enabled"), true);
+  await settle();
+  field("leadMinutes").value = "15";
+  field("leadMinutes").dispatchEvent(new app.w.Event("change", { bubbles: true }));
+  field("quietStart").value = "21:30";
+  field("quietStart").dispatchEvent(new app.w.Event("change", { bubbles: true }));
+  field("goal-lead").value = "off";
+  field("goal-lead").dispatchEvent(new app.w.Event("change", { bubbles: true }));
+  await settle();
+  
+  assert.deepEqual(requests, ["asked"]);
+  const plan = savedPlan(app.w, PIN);
+  assert.equal(plan.reminders.enabled, true);
+  assert.equal(plan.reminders.leadMinutes, 15);
+  assert.equal(plan.reminders.quietStart, "21:30");
+  assert.deepEqual(plan.goals[0].reminders, { enabled: false });
+});
+
+test("reminders go through the registered service worker, where mobile browsers refuse new Notification", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w } = app;
+  w.Notification = class {
+    static permission = "granted";
+    constructor() { throw new TypeError("Illegal constructor"); }
+  };
+  const shown = [];
+  Object.defineProperty(w.navigator, "serviceWorker", {
+    value: { getRegistration: async () => ({ showNotification: async title => { shown.push(title); } }) }
+  });
+  await planAWeek(app, "• Study 1 hour", ["0Mon"]);
+  
+  const monday = Object.keys(savedPlan(w, PIN).weekPlans)[0];
+  const RealDate = w.Date;
+  let now = new RealDate(`${monday}T07:59`).getTime();
+  w.Date = class extends RealDate {
+    constructor(...args) { super(...(args.length ? args : [now])); }
+    static now() { return now; }
+  };
+  fill(w, app.$("reminderSettings").querySelector('[data-field="enabled"]'), true);
+  await settle();
+  now += 2 * 60000;
+  w.document.dispatchEvent(new w.Event("visibilitychange"));
+  await settle();
+  
+  assert.deepEqual(shown, ["☀️ Today: 1 session planned"]);
+});
+
+test("Ctrl+Z and Ctrl+Shift+Z undo and redo timetable changes, and a toast can undo a deleted goal", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour", ["0Wed"]);
+  const press = (key, shiftKey = false) =>
+    w.document.body.dispatchEvent(new w.KeyboardEvent("keydown", { key, ctrlKey: true, shiftKey, bubbles: true }));
+  const completed = () => Object.values(savedPlan(w, PIN).weekPlans)[0].table.Wed[0].completed;
+  
+  w.document.querySelector('#table .task[data-day="Wed"]').click();
+  await settle();
+  assert.equal(completed(), true);
+  
+  press("z");
+  await settle();
+  assert.equal(completed(), false);
+  assert.equal(w.document.querySelector('#table .task[data-day="Wed"]').classList.contains("completed"), false);
+  
+  press("Z", true);
+  await settle();
+  assert.equal(completed(), true);
+  
+  w.document.querySelector("#goals .delete[data-goal-index]").click();
+  await settle();
+  assert.equal(savedPlan(w, PIN).goals.length, 0);
+  
+  const undoButtons = [...$("notificationContainer").querySelectorAll(".notification-action")];
+  undoButtons.at(-1).click();
+  await settle();
+  const plan = savedPlan(w, PIN);
+  assert.deepEqual(plan.goals.map(g => g.name), ["Math"]);
+  assert.equal(plan.allTasks.length, 1);
+  assert.equal(w.document.querySelectorAll("#goals .goal-box").length, 1);
+});
+
+test("generating with an unscheduled task opens the plan check, whose fix is applied before building", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour\n• Read 30 mins", ["0Wed"]);
+  
+  assert.ok($("planCheckDialog").classList.contains("open"));
+  assert.match($("planWarnings").textContent, /"Read 30 mins" has no days ticked/);
+  
+  $("planCheckBody").querySelector("[data-fix]").click();
+  await settle();
+  assert.match($("planCheckBody").textContent, /Every goal has time/);
+  assert.equal($("planWarnings").textContent.trim(), "");
+  assert.deepEqual(savedPlan(w, PIN).allTasks[1].days, ["Mon"]);
+  
+  $("planCheckGenerateBtn").click();
+  await settle(200);
+  assert.ok(!$("planCheckDialog").classList.contains("open"));
+  assert.equal(dayCells(w, "Mon").length, 1);
+});
+
+test("a built-in template fills in goals, task lists and days, and the plan can be saved as a template", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await settle(50);
+  $("newUserBtn").click();
+  fill(w, $("userName"), "Ana");
+  fill(w, $("userIntent"), "Land a job");
+  fill(w, $("userPin"), PIN);
+  $("createBtn").click();
+  await settle(400);
+  $("next1").click();
+  
+  $("templatesBtn").click();
+  const card = $("templateList").querySelector('[data-template-id="coding-interview"]');
+  card.querySelector('[data-action="apply-template"]').click();
+  await settle();
+  
+  assert.ok(!$("templatesDialog").classList.contains("open"));
+  assert.equal(w.document.querySelectorAll("#goals .goal-box").length, 4);
+  assert.match($("tasks0").value, /• Arrays and strings problems 45 mins\n• Trees and graphs problems 1 hour/);
+  let plan = savedPlan(w, PIN);
+  assert.deepEqual(plan.goals.map(g => g.name), ["Data structures", "Algorithms", "System design", "Mock interviews"]);
+  assert.deepEqual(plan.allTasks[0].days, ["Mon", "Thu"]);
+  
+  fill(w, $("templateName"), "My interview week");
+  $("saveTemplateBtn").click();
+  await settle();
+  plan = savedPlan(w, PIN);
+  assert.deepEqual(plan.templates.map(tp => [tp.name, tp.goals.length, tp.allTasks.length]), [["My interview week", 4, 8]]);
+  assert.match($("templateList").textContent, /My interview week/);
+});
+
+test("Ctrl+K runs commands from the palette, and arrow keys move between timetable sessions", async t => {
+  const app = loadApp();
+  t.after(app.close);
+  const { w, $ } = app;
+  await planAWeek(app, "• Study 1 hour\n• Read 30 mins", ["0Wed", "1Wed", "1Fri"]);
+  const press = (target, key, mods = {}) =>
+    target.dispatchEvent(new w.KeyboardEvent("keydown", { key, bubbles: true, ...mods }));
+  const focused = () => w.document.activeElement;
+  
+  assert.equal(focused(), activeSlide(w).querySelector("h2"));
+  
+  press(w.document.body, "k", { ctrlKey: true });
+  assert.ok($("paletteDialog").classList.contains("open"));
+  assert.equal(focused(), $("paletteInput"));
+  fill(w, $("paletteInput"), "done read");
+  assert.deepEqual([...$("paletteList").querySelectorAll(".palette-option span")].map(el => el.textContent), ["Mark done: Read 30 mins", "Mark done: Read 30 mins"]);
+  press($("paletteInput"), "ArrowDown");
+  press($("paletteInput"), "Enter");
+  await settle();
+  
+  assert.ok(!$("paletteDialog").classList.contains("open"));
+  const plan = Object.values(savedPlan(w, PIN).weekPlans)[0];
+  assert.deepEqual([plan.table.Wed[1].completed, plan.table.Fri[0].completed], [false, true]);
+  assert.equal(focused().dataset.day, "Fri");
+  assert.equal(focused().tabIndex, 0);
+  
+  press(focused(), "ArrowLeft");
+  assert.equal(focused().dataset.day, "Wed");
+  assert.match(focused().textContent, /Study/);
+  press(focused(), "ArrowDown");
+  assert.match(focused().textContent, /Read/);
+  assert.deepEqual([...w.document.querySelectorAll('#table .task[tabindex="0"]')], [focused()]);
+  
+  press(focused(), "?", { shiftKey: true });
+  assert.ok($("shortcutsDialog").classList.contains("open"));
+  press(w.document.body, "Escape");
+  assert.ok(!$("shortcutsDialog").classList.contains("open"));
+  assert.match(focused().textContent, /Read/);
+  
+  press(w.document.body, "k", { ctrlKey: true });
+  fill(w, $("paletteInput"), "add goal");
+  press($("paletteInput"), "Enter");
+  assert.equal(activeSlide(w), $("goalInput").closest(".slide"));
+  assert.equal(focused(), $("goalInput"));
+  
+  press(focused(), "Enter", { ctrlKey: true });
+  assert.equal(focused(), activeSlide(w).querySelector("h2"));
+  assert.ok(activeSlide(w).contains($("tasks0")));
+});